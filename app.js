@@ -7,8 +7,8 @@
 'use strict';
 
 const clampCamera = !debug;
-const lowGraphicsSettings = glOverlay = !window['chrome']; // only chromium uses high settings
-const startCameraScale = 4*16;
+const lowGraphicsSettings = glOverlay = headless || !window['chrome']; // only chromium uses high settings
+postProcessQuality = !lowGraphicsSettings;
 const defaultCameraScale = 4*16;
 const maxPlayers = 4;
 
@@ -16,31 +16,112 @@ const team_none = 0;
 const team_player = 1;
 const team_enemy = 2;
 
+// split screen layouts, the screen only splits while players are far apart
+const splitScreen_off        = 0;
+const splitScreen_vertical   = 1; // side by side
+const splitScreen_horizontal = 2; // stacked
+const splitScreenApart = .6, splitScreenTogether = .4; // how far apart players are in screens to split and merge
+
 let updateWindowSize, renderWindowSize, gameplayWindowSize;
+let splitScreenMode = splitScreen_off, splitScreenActive = 0, splitScreenCameras = [];
+let saveSlot = 1, saveMessage, saveMessageTimer = new Timer;
+
+///////////////////////////////////////////////////////////////////////////////
+
+// objects update near the camera, or near any player when the screen can split
+const isInUpdateWindow = (pos, size)=> isOverlapping(pos, size, cameraPos, updateWindowSize) ||
+    splitScreenMode && players.some((player)=> player && isOverlapping(pos, size, player.pos, updateWindowSize));
+
+// keep the view above the bottom and inside the sides of the level
+function clampCameraPos(pos, scale, size)
+{
+    if (!clampCamera)
+        return pos;
+
+    const w = size.x/2/scale+1;
+    const h = size.y/2/scale+2;
+    pos = vec2(pos.x, max(pos.y, h));
+    if (w*2 < tileCollisionSize.x)
+        pos.x = clamp(pos.x, tileCollisionSize.x - w, w);
+    return pos;
+}
+
+// give each player a viewport with its own camera while the screen is split
+function updateSplitScreen()
+{
+    engineViewports = [];
+    const viewPlayers = players.filter((player)=> player);
+    viewPlayers.length > 1 || (splitScreenActive = 0);
+    for(const [i, player] of viewPlayers.entries())
+    {
+        // cameras start from the shared camera so the split is smooth
+        const camera = splitScreenActive && splitScreenCameras[i] || cameraPos;
+        if (!splitScreenActive)
+        {
+            splitScreenCameras[i] = camera;
+            continue;
+        }
+
+        const vertical = splitScreenMode == splitScreen_vertical, count = viewPlayers.length;
+        const pos = vertical ? vec2(mainCanvasSize.x*i/count|0, 0) : vec2(0, mainCanvasSize.y*i/count|0);
+        const size = vertical ? vec2(mainCanvasSize.x/count|0, mainCanvasSize.y) : vec2(mainCanvasSize.x, mainCanvasSize.y/count|0);
+        const scale = defaultCameraScale;
+        splitScreenCameras[i] = clampCameraPos(camera.lerp(player.pos, .1), scale, size);
+        engineViewports.push({pos, size, cameraPos:splitScreenCameras[i], cameraScale:scale});
+    }
+}
 
 engineInit(
 
 ///////////////////////////////////////////////////////////////////////////////
 ()=> // appInit 
 {
-    resetGame();
-    cameraScale = startCameraScale;
+    controlsInit();
+    resetGame(); // levels start with a camera pan
+
+    if (!headless)
+    {
+        // join an online game if the url has a room
+        netInit();
+
+        // drop a replay on the window to watch it, an exported save to load it or a tiled map to play it
+        ondragover = (e)=> e.preventDefault();
+        ondrop = (e)=>
+        {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            file && file.text().then((text)=>
+            {
+                const json = JSON.parse(text);
+                if (json.type == 'map')
+                {
+                    customMap = json;
+                    resetGame();
+                }
+                else
+                    saveIsExport(json) ? importGame(json) : playReplay(json);
+            });
+        }
+    }
 },
 
 ///////////////////////////////////////////////////////////////////////////////
 ()=> // appUpdate
 {
-    const cameraSize = vec2(mainCanvas.width, mainCanvas.height).scale(1/cameraScale);
+    const cameraSize = mainCanvasSize.scale(1/cameraScale);
     renderWindowSize = cameraSize.add(vec2(5));
 
-    gameplayWindowSize = vec2(mainCanvas.width, mainCanvas.height).scale(1/defaultCameraScale);
+    gameplayWindowSize = mainCanvasSize.scale(1/defaultCameraScale);
     updateWindowSize = gameplayWindowSize.add(vec2(30));
     //debugRect(cameraPos, maxGameplayCameraSize);
     //debugRect(cameraPos, updateWindowSize);
 
+    // the level editor takes over while it is open
+    if (debug && editorUpdate() || controlsMenuUpdate())
+        return;
+
     if (debug)
     {
-        randSeeded(randSeeded(randSeeded(randSeed = Date.now()))); // set random seed for debug mode stuf
         if (keyWasPressed(81))
             new Enemy(mousePosWorld);
 
@@ -101,9 +182,51 @@ engineInit(
     for(const player of players)
         minDeadTime = min(minDeadTime, player && player.isDead() ? player.deadTimer.get() : 0);
 
-    if (minDeadTime > 3 && (keyWasPressed(90) || keyWasPressed(32) || gamepadWasPressed(0)) || keyWasPressed(82))
+    // online clients wait for the host to restart
+    if (!isNetClient() && (minDeadTime > 3 && (actionWasPressed('shoot') || actionWasPressed('jump')) || actionWasPressed('restart')))
         resetGame();
 
+    // the music follows the fighting, online clients get it from the host
+    isNetClient() || updateMusicIntensity();
+
+    // drain the color while every player is dead, toggle the crt screen and screen shake
+    postSaturation = 1 - .8*percent(minDeadTime, 2);
+    actionWasPressed('crt') && (postCRT = postCRT ? 0 : 1);
+    actionWasPressed('shake') && (cameraShakeEnable = !cameraShakeEnable);
+
+    // toggle twin stick aiming with the mouse or right stick
+    actionWasPressed('twinStick') && (twinStickAiming = !twinStickAiming);
+
+    // cycle between one screen and splitting it side by side or stacked
+    actionWasPressed('splitScreen') && (splitScreenMode = (splitScreenMode + 1) % 3);
+
+    // save a replay of this session for bug reports
+    if (actionWasPressed('saveReplay'))
+        replaySave('spaceHuggersReplay.json');
+
+    // save slots, pick a slot then save, load or export to a file
+    const showSaveMessage = (message)=>
+    {
+        saveMessage = message;
+        saveMessageTimer.set(2);
+    }
+    if (actionWasPressed('saveSlot'))
+    {
+        saveSlot = saveSlot % 3 + 1;
+        showSaveMessage('SLOT ' + saveSlot);
+    }
+    if (isNetClient())
+        return; // clients follow the host so they can not load or change levels
+    if (actionWasPressed('save'))
+    {
+        saveGame(saveSlot);
+        showSaveMessage('SAVED SLOT ' + saveSlot);
+    }
+    if (actionWasPressed('load'))
+        showSaveMessage(loadGame(saveSlot) ? 'LOADED SLOT ' + saveSlot : 'SLOT ' + saveSlot + ' IS EMPTY');
+    if (actionWasPressed('export'))
+        exportGame();
+
     if (levelEndTimer.get() > 3)
         nextLevel();
 },
@@ -111,11 +234,28 @@ engineInit(
 ///////////////////////////////////////////////////////////////////////////////
 ()=> // appUpdatePost
 {
-    if (players.length == 1)
+    if (controlsMenu)
+        return; // the game waits while the controls menu is open
+
+    if (editorMode)
+    {
+        // only the camera moves while editing
+        engineViewports = [];
+        return;
+    }
+
+    if (isNetClient())
+    {
+        // online clients follow their own player
+        netUpdateClient();
+        const player = players[netGamepad] || players[0];
+        player && !player.isDead() && cameraFollow(player.pos, player.getMirrorSign(), clamp(player.getAliveTime()/2));
+    }
+    else if (players.length == 1)
     {
         const player = players[0];
         if (!player.isDead())
-            cameraPos = cameraPos.lerp(player.pos, clamp(player.getAliveTime()/2));
+            cameraFollow(player.pos, player.getMirrorSign(), clamp(player.getAliveTime()/2));
     }
     else
     {
@@ -133,43 +273,59 @@ engineInit(
         }
 
         if (playerCount)
-            cameraPos = cameraPos.lerp(posTotal.scale(1/playerCount), .2);
+        {
+            const center = posTotal.scale(1/playerCount);
+            cameraFollow(center, 0, .2);
+
+            // zoom out as players spread apart
+            let spread = vec2();
+            for(const player of players)
+            if (player && !player.isDead())
+                spread = vec2(max(spread.x, abs(player.pos.x - center.x)*2), max(spread.y, abs(player.pos.y - center.y)*2));
+            const fit = min(gameplayWindowSize.x/(spread.x + 8), gameplayWindowSize.y/(spread.y + 6));
+            cameraZoom(defaultCameraScale*clamp(fit, 1, .6));
+
+            // split the screen when players spread apart and merge when they come back together
+            const apart = max(spread.x/gameplayWindowSize.x, spread.y/gameplayWindowSize.y);
+            splitScreenActive = splitScreenMode && apart > (splitScreenActive ? splitScreenTogether : splitScreenApart);
+        }
     }
 
-    // spawn players if they don't exist
-    for(let i = maxPlayers;i--;)
+    // spawn players if they don't exist, online players are gamepads on the host
+    for(let i = isNetClient() ? 0 : maxPlayers;i--;)
     {
-        if (!players[i] && (gamepadWasPressed(0, i)||gamepadWasPressed(1, i)))
+        if (!players[i] && (actionWasPressed('jump', i) || actionWasPressed('throw', i)))
         {
             ++playerLives;
             new Player(checkpointPos, i);
         }
     }
     
-    // clamp to bottom and sides of level
-    if (clampCamera)
-    {
-        const w = mainCanvas.width/2/cameraScale+1;
-        const h = mainCanvas.height/2/cameraScale+2;
-        cameraPos.y = max(cameraPos.y, h);
-        if (w*2 < tileCollisionSize.x)
-            cameraPos.x = clamp(cameraPos.x, tileCollisionSize.x - w, w);
-    }
-
-    updateParallaxLayers();
+    // end level if no enemies are left
+    let enemiesLeft = 0;
+    for (const o of engineCollideObjects)
+        enemiesLeft |= o.isCharacter && o.team == team_enemy;
+    if (!enemiesLeft && !levelEndTimer.isSet())
+        levelEndTimer.set();
 
+    cameraPos = clampCameraPos(cameraPos, cameraScale, mainCanvasSize);
+    updateSplitScreen();
     updateSky();
+    updateAudioEnvironment();
 },
 
 ///////////////////////////////////////////////////////////////////////////////
 ()=> // appRender
 {
-    const gradient = mainContext.createLinearGradient(0,0,0,mainCanvas.height);
+    // parallax follows whichever camera is rendering
+    updateParallaxLayers();
+
+    const gradient = mainContext.createLinearGradient(0,0,0,mainCanvasSize.y);
     gradient.addColorStop(0,levelSkyColor.rgba());
     gradient.addColorStop(1,levelSkyHorizonColor.rgba());
     mainContext.fillStyle = gradient;
     //mainContext.fillStyle = levelSkyColor.rgba();
-    mainContext.fillRect(0,0,mainCanvas.width, mainCanvas.height);
+    mainContext.fillRect(0,0,mainCanvasSize.x, mainCanvasSize.y);
 
     drawStars();
 },
@@ -194,31 +350,53 @@ engineInit(
     {
         //mainContext.fillStyle = (new Color).setHSLA(time/3,1,.5,p).rgba();
         mainContext.font = '1.5in impact';
-        mainContext.fillText('SPACE HUGGERS REMAKE', mainCanvas.width/2, 140);
+        mainContext.fillText('SPACE HUGGERS REMAKE', mainCanvasSize.x/2, 140);
     }
 
     mainContext.font = '.5in impact';
-    p > 0 && mainContext.fillText('A JS13K Game by Frank Force, Drass Mangy, and WM',mainCanvas.width/2, 210);
+    p > 0 && mainContext.fillText('A JS13K Game by Frank Force, Drass Mangy, and WM',mainCanvasSize.x/2, 210);
 
-    // check if any enemies left
+    // draw enemies left
     let enemiesCount = 0;
     for (const o of engineCollideObjects)
     {
         if (o.isCharacter && o.team  == team_enemy)
         {
             ++enemiesCount;
-            const pos = vec2(mainCanvas.width/2 + (o.pos.x - cameraPos.x)*30,mainCanvas.height-20);
+            const pos = vec2(mainCanvasSize.x/2 + (o.pos.x - cameraPos.x)*30,mainCanvasSize.y-20);
             drawRectScreenSpace(pos, o.size.scale(20), o.color.scale(1,.6));
         }
     }
 
-    if (!enemiesCount && !levelEndTimer.isSet())
-        levelEndTimer.set();
-
     mainContext.fillStyle = new Color(0,0,0).rgba();
-    mainContext.fillText('Level ' + level + '      Lives ' + playerLives + '      Enemies ' + enemiesCount, mainCanvas.width/2, mainCanvas.height-40);
+    mainContext.fillText('Level ' + level + '      Lives ' + playerLives + '      Enemies ' + enemiesCount, mainCanvasSize.x/2, mainCanvasSize.y-40);
+
+    if (saveMessageTimer.active())
+        mainContext.fillText(saveMessage, mainCanvasSize.x/2, mainCanvasSize.y-80);
+
+    // show replay status
+    if (paused && !replayPlaying)
+        mainContext.fillText('PAUSED', mainCanvasSize.x/2, 60);
+    if (replayPlaying)
+        mainContext.fillText('REPLAY ' + (paused ? 'PAUSED' : replaySpeed + 'x') + '   P pause   F speed   Esc stop', mainCanvasSize.x/2, 60);
+    if (replayDrift)
+    {
+        mainContext.fillStyle = new Color(1,0,0).rgba();
+        mainContext.fillText('REPLAY DRIFT AT FRAME ' + replayDrift.frame, mainCanvasSize.x/2, 100);
+    }
+    debug && editorRender();
 
     // fade in level transition
     const fade = levelEndTimer.isSet() ? percent(levelEndTimer.get(), 3, 1) : percent(levelTimer.get(), .5, 2);
     drawRect(cameraPos, vec2(1e3), new Color(0,0,0,fade))
+
+    // outline each viewport when the screen is split
+    if (engineViewports.length)
+    {
+        mainContext.strokeStyle = '#000';
+        mainContext.lineWidth = 4;
+        mainContext.strokeRect(0, 0, mainCanvasSize.x, mainCanvasSize.y);
+    }
+
+    controlsMenuRender();
 });
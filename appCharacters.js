@@ -9,6 +9,25 @@
 const aiEnable = 1;
 const debugAI = 0;
 const maxCharacterSpeed = .2;
+let twinStickAiming = 0; // weapons aim at the mouse or the right stick instead of straight ahead
+
+// enemy skins from the v3 costume sheet, its bodies are laid out like the main sheet
+const enemyBodyTiles = [3, 19, 32];
+
+// character animation clips, frames are added to the body tile
+// walking is 4 frames so steps happen halfway through each body tile
+const characterAnimations =
+{
+    idle:  {frames:[0]},
+    walk:  {frames:[0,0,1,1], duration:1/12, loop:animLoop_repeat, bob:.06},
+    jump:  {frames:[1]},
+    fall:  {frames:[1]},
+    climb: {frames:[0,0,1,1], duration:1/12, loop:animLoop_repeat, bob:.06},
+    dodge: {frames:[1]},
+    dead:  {frames:[0]},
+};
+const playerAnimations = {...characterAnimations, walk:{...characterAnimations.walk, events:{1:'step', 3:'step'}}};
+loadTileSheet('costume', 'v3/costumechange.png');
 
 class Character extends GameObject 
 {
@@ -27,14 +46,18 @@ class Character extends GameObject
         this.deadTimer = new Timer;
         this.blinkTimer = new Timer;
         this.moveInput = vec2();
+        this.aimDirection = vec2(); // where the weapon points, zero is straight ahead
         this.extraAdditiveColor = new Color(0,0,0,0);
         this.color = new Color;
         this.eyeColor = new Color;
         this.bodyTile = 3;
         this.headTile = 2;
         this.renderOrder = 10;
-        this.overkill = this.grenadeCount = this.walkCyclePercent = 0;
+        this.overkill = this.grenadeCount = 0;
         this.grendeThrowTimer = new Timer;
+        this.animation = new Animation(this, characterAnimations, 'idle');
+        this.headOffset = vec2(.15,.3); // from body center when facing right
+        this.eyeOffset = vec2(.15,.36);
         this.setCollision();
     }
     
@@ -165,6 +188,9 @@ class Character extends GameObject
         // call parent, update physics
         const oldVelocity = this.velocity.copy();
         super.update();
+
+        // big enemies shake the ground when they land hard
+        this.isBig && this.groundObject && oldVelocity.y < -.2 && cameraAddTrauma(.3, this.pos);
         if (!this.isPlayer && !this.dodgeTimer.active())
         {
             // apply collision damage
@@ -172,14 +198,12 @@ class Character extends GameObject
             deltaSpeedSquared > .1 && this.damage(10*deltaSpeedSquared);
         }
 
-        if (this.climbingLadder || this.groundTimer.active() && !this.dodgeTimer.active())
-        {
-            const speed = this.velocity.length();
-            this.walkCyclePercent += speed * .5;
-            this.walkCyclePercent = speed > .01 ? mod(this.walkCyclePercent, 1) : 0;
-        }
-        else
-            this.walkCyclePercent = 0;
+        // pick the animation state, walking and climbing play faster when moving faster
+        const speed = this.velocity.length();
+        const state = this.dodgeTimer.active() ? 'dodge' : this.climbingLadder ? 'climb' :
+            !this.groundTimer.active() ? this.velocity.y > 0 ? 'jump' : 'fall' : speed > .01 ? 'walk' : 'idle';
+        this.animation.play(state);
+        this.animation.update(state == 'walk' || state == 'climb' ? speed*10 : 1);
 
         this.weapon.triggerIsDown = this.holdingShoot && !this.dodgeTimer.active();
         if (!this.dodgeTimer.active())
@@ -189,16 +213,18 @@ class Character extends GameObject
                 // throw greande
                 --this.grenadeCount;
                 const grenade = new Grenade(this.pos);
-                grenade.velocity = this.velocity.add(vec2(this.getMirrorSign(),rand(.8,.7)).normalize(.25+rand(.02)));
-                grenade.angleVelocity = this.getMirrorSign() * rand(.8,.5);
+                grenade.velocity = this.velocity.add(vec2(this.getMirrorSign(),randCombat.float(.8,.7)).normalize(.25+randCombat.float(.02)));
+                grenade.angleVelocity = this.getMirrorSign() * randCombat.float(.8,.5);
                 playSound(sound_jump, this.pos);
                 this.grendeThrowTimer.set(1);
             }
             this.wasPressingThrow = this.pressingThrow;
         }
 
-        // update mirror
-        if (this.moveInput.x && !this.dodgeTimer.active())
+        // update mirror, face where aiming
+        if (this.aimDirection.x)
+            this.mirror = this.aimDirection.x < 0;
+        else if (this.moveInput.x && !this.dodgeTimer.active())
             this.mirror = this.moveInput.x < 0;
 
         // clamp x pos
@@ -213,8 +239,9 @@ class Character extends GameObject
         if (!isOverlapping(this.pos, this.size, cameraPos, renderWindowSize))
             return;
 
-        // set tile to use
-        this.tileIndex = this.isDead() ? this.bodyTile : this.climbingLadder || this.groundTimer.active() ? this.bodyTile + 2*this.walkCyclePercent|0 : this.bodyTile+1;
+        // set tile to use from the animation, the body can be from another tile sheet
+        const bodyTile = this.bodyTile + this.animation.getFrame();
+        this.tileIndex = this.bodySheet ? this.bodySheet + bodyTile : bodyTile;
 
         let additive = this.additiveColor.add(this.extraAdditiveColor);
         if (this.isPlayer && !this.isDead() && this.dodgeRechargeTimer.elapsed() && this.dodgeRechargeTimer.get() < .2)
@@ -229,20 +256,26 @@ class Character extends GameObject
 
         this.fpos = vec2(this.pos)
         
-        const bodyPos = this.pos.add(vec2(0,-.1+.06*Math.sin(this.walkCyclePercent*PI)).scale(sizeScale));
+        const bob = this.animation.getClip().bob || 0;
+        const bodyPos = this.pos.add(vec2(0,-.1+bob*Math.sin(this.animation.getPercent()*PI)).scale(sizeScale));
         drawTile(bodyPos, vec2(sizeScale), this.tileIndex, this.tileSize, color, this.angle, this.mirror, additive);
-        drawTile(this.fpos.add(vec2(this.mirror ? -.15 : .15,.3).scale(sizeScale).rotate(-this.angle)),vec2(sizeScale/2),this.headTile,vec2(8), color,this.angle,this.mirror, additive);
+        drawTile(this.fpos.add(this.headOffset.multiply(vec2(this.getMirrorSign(),1)).scale(sizeScale).rotate(-this.angle)),vec2(sizeScale/2),this.headTile,vec2(8), color,this.angle,this.mirror, additive);
 
         //for(let i = this.grenadeCount; i--;)
         //    drawTile(bodyPos, vec2(.5), 5, vec2(8), new Color, this.angle, this.mirror, additive);
 
         const blinkScale = this.canBlink ? this.isDead() ? .3: .5 + .5*Math.cos(this.blinkTimer.getPercent()*PI*2) : 1;
-            drawTile(this.fpos.add(vec2(this.mirror ? -.15 : .15,.36).scale(sizeScale).rotate(-this.angle)),vec2(sizeScale/2, blinkScale*sizeScale/2),this.headTile+1,vec2(8), eyeColor, this.angle, this.mirror, this.additiveColor);
+            drawTile(this.fpos.add(this.eyeOffset.multiply(vec2(this.getMirrorSign(),1)).scale(sizeScale).rotate(-this.angle)),vec2(sizeScale/2, blinkScale*sizeScale/2),this.headTile+1,vec2(8), eyeColor, this.angle, this.mirror, this.additiveColor);
+    }
+
+    animationEvent(event)
+    {
+        event == 'step' && playSound(sound_walk, this.pos);
     }
 
     damage(damage, damagingObject)
     {
-        if (this.destroyed)
+        if (this.destroyed || this.netRemote)
             return;
 
         if (this.team == team_player)
@@ -279,15 +312,18 @@ class Character extends GameObject
         }
         
         this.deadTimer.set();
+        this.animation.play('dead');
         this.size = this.size.scale(.5);
 
         makeBlood(this.pos, 300);
         playSound(sound_die, this.pos);
+        this.isPlayer && postFlash(new Color(1,0,0,.5), .5);
+        cameraAddTrauma(this.isPlayer ? .4 : .1*this.sizeScale, this.pos);
 
         this.team = team_none;
         this.health = 0;
-        const fallDirection = damagingObject ? sign(damagingObject.velocity.x) : randSign();
-        this.angleVelocity = fallDirection*rand(.22,.14);
+        const fallDirection = damagingObject ? sign(damagingObject.velocity.x) : randCombat.sign();
+        this.angleVelocity = fallDirection*randCombat.float(.22,.14);
         this.angleDamping = .9;
         this.weapon && this.weapon.destroy();
 
@@ -315,6 +351,10 @@ class Character extends GameObject
             return !this.climbingLadder;
         }
 
+        // drop down through one way platforms
+        if (getTileCollisionShape(pos) == tileShape_oneWay)
+            return this.moveInput.y >= 0;
+
         // break blocks above
         const d = pos.y - this.pos.y;
         if (!this.climbingLadder && this.velocity.y > .1 && d > 0 && d < this.size.y*.5)
@@ -341,6 +381,7 @@ class Character extends GameObject
             if (!o.groundObject && o.isCrushing && !this.persistent && o.velocity.y < 0 && this.pos.y < o.pos.y - o.size.y/2 && abs(o.pos.x - this.pos.x) < o.size.x*.5)
             {
                 // crushing
+                cameraAddTrauma(.3, this.pos);
                 this.damage(1e3, o);
                 if (this.isDead())
                 {
@@ -374,7 +415,7 @@ function alertEnemies(pos, playerPos)
 
 class Enemy extends Character
 {
-    constructor(pos) 
+    constructor(pos, typeOverride, bigOverride) 
     { 
         super(pos);
 
@@ -386,7 +427,7 @@ class Enemy extends Character
         this.shootTimer = new Timer;
         this.maxVisionRange = 12;
 
-        this.type = randSeeded()**3*min(level+1,type_count)|0;
+        this.type = typeOverride != undefined ? typeOverride : randLevel.float()**3*min(level+1,type_count)|0;
 
         let health = 1 + this.type;
         this.eyeColor = new Color(1,.5,0);
@@ -418,7 +459,7 @@ class Enemy extends Character
             this.canBurn = 0;
         }
 
-        if (this.isBig = randSeeded() < .05)
+        if (this.isBig = bigOverride != undefined ? bigOverride : randLevel.float() < .05)
         {
             // chance of large enemy with extra health
             this.size = this.size.scale(this.sizeScale = 1.3);
@@ -430,12 +471,14 @@ class Enemy extends Character
 
         this.health = this.healthMax = health;
         this.color = this.color.mutate();
-        this.mirror = rand() < .5;
+        this.mirror = randLevel.float() < .5;
+        this.bodySheet = 'costume:';
+        this.bodyTile = enemyBodyTiles[rand(enemyBodyTiles.length)|0];
 
         new Weapon(this.pos, this);
          --levelEnemyCount;
 
-        this.sightCheckFrame = rand(9)|0;
+        this.sightCheckFrame = randLevel.int(9);
     }
     
     update()
@@ -487,6 +530,7 @@ class Enemy extends Character
         }
 
         this.pressedDodge = this.climbingWall = this.pressingThrow = 0;
+        this.aimDirection = vec2();
         
         if (this.burnTimer.isSet())
         {
@@ -494,22 +538,22 @@ class Enemy extends Character
             this.facePlayerTimer.unset();
 
             // random jump
-            if (rand()< .005)
+            if (randAI.float()< .005)
             {
                 this.pressedJumpTimer.set(.05);
-                this.holdJumpTimer.set(rand(.05));
+                this.holdJumpTimer.set(randAI.float(.05));
             }
             
             // random movement
-            if (rand()<.05)
-                this.moveInput.x = randSign()*rand(.6, .3);
+            if (randAI.float()<.05)
+                this.moveInput.x = randAI.sign()*randAI.float(.6, .3);
             this.moveInput.y = 0;
 
             // random dodge
             if (this.type == type_elite)
                 this.pressedDodge = 1;
             else if (this.groundObject)
-                this.pressedDodge = rand() < .005;
+                this.pressedDodge = randAI.float() < .005;
         }
         else if (this.sawPlayerTimer.isSet() && this.sawPlayerTimer.get() < 10)
         {
@@ -521,7 +565,7 @@ class Enemy extends Character
                 this.velocity.y *=.8;
                 this.climbingWall = 1;
                 this.pressedJumpTimer.set(.1);
-                this.holdJumpTimer.set(rand(.2));
+                this.holdJumpTimer.set(randAI.float(.2));
             }
             
             const timeSinceSawPlayer = this.sawPlayerTimer.get();
@@ -538,62 +582,66 @@ class Enemy extends Character
                 if (!this.dodgeTimer.active())
                 {
                     const playerDirection = sign(this.sawPlayerPos.x - this.pos.x);
-                    if (this.type == type_grenade && rand() < .002 && this.getMirrorSign() == playerDirection)
+                    if (this.type == type_grenade && randAI.float() < .002 && this.getMirrorSign() == playerDirection)
                         this.pressingThrow = 1;
                         
                     // actively fighting player
-                    if (rand()<.05)
-                        this.facePlayerTimer.set(rand(2,.5));
+                    if (randAI.float()<.05)
+                        this.facePlayerTimer.set(randAI.float(2,.5));
 
                     // random jump
-                    if (rand()<(this.type < type_strong ? .0005 : .005))
+                    if (randAI.float()<(this.type < type_strong ? .0005 : .005))
                     {
                         this.pressedJumpTimer.set(.1);
-                        this.holdJumpTimer.set(rand(.2));
+                        this.holdJumpTimer.set(randAI.float(.2));
                     }
                     
                     // random movement
-                    if (rand()<(this.isBig?.05:.02))
+                    if (randAI.float()<(this.isBig?.05:.02))
                         this.moveInput.x = 0;
-                    else if (rand()<.01)
-                        this.moveInput.x = rand()<.6 ? playerDirection*rand(.5, .2) : -playerDirection*rand(.4, .2);
-                    if (rand()<.03)
-                        this.moveInput.y = rand()<.5 ? 0 : randSign()*rand(.4, .2);
+                    else if (randAI.float()<.01)
+                        this.moveInput.x = randAI.float()<.6 ? playerDirection*randAI.float(.5, .2) : -playerDirection*randAI.float(.4, .2);
+                    if (randAI.float()<.03)
+                        this.moveInput.y = randAI.float()<.5 ? 0 : randAI.sign()*randAI.float(.4, .2);
                 
+                    // aim where the player was seen
+                    if (twinStickAiming)
+                        this.aimDirection = this.sawPlayerPos.subtract(this.pos);
+
                     // random shoot
                     if (abs(this.sawPlayerPos.y - this.pos.y) < 4)
                     if (!this.shootTimer.isSet() || this.shootTimer.get() > 1)
-                        rand() < (this.type > type_weak ? .02 : .01) && this.shootTimer.set(this.isBig ? rand(2,1) : .05);
+                        randAI.float() < (this.type > type_weak ? .02 : .01) && this.shootTimer.set(this.isBig ? randAI.float(2,1) : .05);
                 }
 
                 // random dodge
                 if (this.type == type_elite)
-                    this.pressedDodge = rand() < .01 && timeSinceSawPlayer < .5;
+                    this.pressedDodge = randAI.float() < .01 && timeSinceSawPlayer < .5;
             }
             else
             {
                 // was fighting but lost player
                 debugAI && debugRect(this.pos, this.size, '#ff0');
 
-                if (rand()<.04)
-                    this.facePlayerTimer.set(rand(2,.5));
+                if (randAI.float()<.04)
+                    this.facePlayerTimer.set(randAI.float(2,.5));
 
                 // random movement
-                if (rand()<.02)
+                if (randAI.float()<.02)
                     this.moveInput.x = 0;
-                else if (rand()<.01)
-                    this.moveInput.x = randSign()*rand(.4, .2);
+                else if (randAI.float()<.01)
+                    this.moveInput.x = randAI.sign()*randAI.float(.4, .2);
 
                 // random jump
-                if (rand() < (this.sawPlayerPos.y > this.pos.y ? .002 : .001))
+                if (randAI.float() < (this.sawPlayerPos.y > this.pos.y ? .002 : .001))
                 {
                     this.pressedJumpTimer.set(.1);
-                    this.holdJumpTimer.set(rand(.2));
+                    this.holdJumpTimer.set(randAI.float(.2));
                 }
                 
                 // random shoot
                 if (!this.shootTimer.isSet() || this.shootTimer.get() > 5)
-                    rand() < .001 && this.shootTimer.set(rand(.2,.1));
+                    randAI.float() < .001 && this.shootTimer.set(randAI.float(.2,.1));
 
                 // move up/down in dirction last player was seen
                 this.moveInput.y = clamp(this.sawPlayerPos.y - this.pos.y,.5,-.5);
@@ -602,12 +650,12 @@ class Enemy extends Character
         else
         {
             // try to act normal
-            if (rand()<.03)
+            if (randAI.float()<.03)
                 this.moveInput.x = 0;
-            else if (rand()<.005)
-                this.moveInput.x = randSign()*rand(.2, .1);
-            else if (rand()<.001)
-                this.moveInput.x = randSign()*1e-9; // hack: look in a direction
+            else if (randAI.float()<.005)
+                this.moveInput.x = randAI.sign()*randAI.float(.2, .1);
+            else if (randAI.float()<.001)
+                this.moveInput.x = randAI.sign()*1e-9; // hack: look in a direction
 
             this.weapon.localAngle = lerp(.1, .7, this.weapon.localAngle);
             this.reactionTimer.unset();
@@ -635,9 +683,9 @@ class Enemy extends Character
         {
             if (!this.reactionTimer.isSet())
             {
-                this.reactionTimer.set(rand(1,.5)*(this.type == type_weak ? 2 : 1));
-                this.facePlayerTimer.set(rand(2,1));
-                if (this.groundObject && rand() < .2)
+                this.reactionTimer.set(randAI.float(1,.5)*(this.type == type_weak ? 2 : 1));
+                this.facePlayerTimer.set(randAI.float(2,1));
+                if (this.groundObject && randAI.float() < .2)
                     this.velocity.y += .1; // random jump
             }
 
@@ -652,7 +700,7 @@ class Enemy extends Character
         if (!this.isDead())
         {
             this.alert(damagingObject ? damagingObject.pos.subtract(damagingObject.velocity.normalize()) : this.pos, 1);
-            this.reactionTimer.set(rand(1,.5));
+            this.reactionTimer.set(randAI.float(1,.5));
             this.shootTimer.unset();
         }
     }
@@ -669,6 +717,15 @@ class Enemy extends Character
 
 ///////////////////////////////////////////////////////////////////////////////
 
+// aim with a gamepad's right stick, or toward the mouse when playing with the keyboard
+function getAimInput(gamepad, pos, canUseMouse)
+{
+    const stick = gamepadStick(1, gamepad);
+    return stick.lengthSquared() || !canUseMouse || isUsingGamepad ? stick.copy() : mousePosWorld.subtract(pos);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
 class Player extends Character
 {
     constructor(pos, playerIndex=0) 
@@ -689,7 +746,7 @@ class Player extends Character
         this.headTile = 18;
         this.playerIndex = playerIndex;
         this.renderOrder = 20 + 10*playerIndex;
-        this.walkSoundTime = 0;
+        this.animation.clips = playerAnimations;
         this.persistent = this.wasHoldingJump = this.canBlink = this.isPlayer = 1;
         this.team = team_player;
         
@@ -764,12 +821,11 @@ class Player extends Character
         }
 
         // movement control
-        this.moveInput.x = isUsingGamepad || this.playerIndex ? gamepadStick(0, this.playerIndex).x : keyIsDown(39) - keyIsDown(37);
-
-        this.moveInput.y = isUsingGamepad || this.playerIndex ? gamepadStick(0, this.playerIndex).y : keyIsDown(38) - keyIsDown(40);
+        this.moveInput = actionMove(this.playerIndex);
+        this.aimDirection = twinStickAiming ? getAimInput(this.playerIndex, this.pos, !this.playerIndex) : vec2();
         
         // jump
-        this.holdingJump = (!this.playerIndex && keyIsDown(38)) || gamepadIsDown(0, this.playerIndex);
+        this.holdingJump = actionIsDown('jump', this.playerIndex);
         if (!this.holdingJump)
             this.pressedJumpTimer.unset();
         else if (!this.wasHoldingJump || this.climbingWall)
@@ -777,29 +833,16 @@ class Player extends Character
         this.wasHoldingJump = this.holdingJump;
 
         // controls
-        this.holdingShoot  = !this.playerIndex && (mouseIsDown(0) || keyIsDown(90)) || gamepadIsDown(2, this.playerIndex);
-        this.pressingThrow = !this.playerIndex && (mouseIsDown(2) || keyIsDown(67)) || gamepadIsDown(1, this.playerIndex);
-        this.pressedDodge  = !this.playerIndex && (mouseIsDown(1) || keyIsDown(88)) || gamepadIsDown(3, this.playerIndex);
+        this.holdingShoot  = actionIsDown('shoot', this.playerIndex);
+        this.pressingThrow = actionIsDown('throw', this.playerIndex);
+        this.pressedDodge  = actionIsDown('dodge', this.playerIndex);
 
         super.update();
 
-        // update walk sound
-        this.walkSoundTime += abs(this.velocity.x);
-        if (abs(this.velocity.x) > .01 && this.groundTimer.active() && !this.dodgeTimer.active())
-        {
-            if (this.walkSoundTime > 1)
-            {
-                this.walkSoundTime = 0;
-                playSound(sound_walk, this.pos);
-            }
-        }
-        else
-            this.walkSoundTime = .5;
-
         if (players.length > 1 && !this.isDead())
         {
-            // move to other player if offscreen and multiplayer
-            if (!isOverlapping(this.pos, this.size, cameraPos, gameplayWindowSize))
+            // move to other player if offscreen and multiplayer, split screen lets players go their own way
+            if (!splitScreenMode && !isOverlapping(this.pos, this.size, cameraPos, gameplayWindowSize))
             {
                 // move to location of another player if not falling off a cliff
                 if (tileCollisionRaycast(this.pos,vec2(this.pos.x,0)))
@@ -0,0 +1,160 @@
+/*
+    Javascript Space Game
+    By Frank Force 2021
+
+    Controls
+    - Game code checks actions like jump and shoot instead of keys
+    - Player one has the keyboard, mouse and first gamepad, other players have their own gamepads
+    - Hotkeys like saving, the crt screen and split screen are actions only player one has
+    - Tab opens the controls menu, objects stop updating while it is open
+    - Up and down pick an action, left and right pick the player
+    - Enter rebinds the action to the next key, mouse button or gamepad button pressed
+    - Delete clears an action, Backspace resets everything to the defaults
+    - The last page is the audio mixer, minus and plus change a bus volume and Enter mutes it
+    - Bindings and audio settings are saved to local storage
+*/
+
+'use strict';
+
+const controlsKeyMenu = 9; // Tab
+const controlsActions = ['left', 'right', 'up', 'down', 'jump', 'shoot', 'throw', 'dodge', 'pause', 'restart'];
+const controlsHotkeys = ['saveSlot', 'save', 'load', 'export', 'saveReplay', 'crt', 'shake', 'splitScreen', 'twinStick'];
+const controlsPlayerActions = (player)=> player ? controlsActions : [...controlsActions, ...controlsHotkeys];
+
+// gamepad buttons are the same for everyone, only player one has keys
+const controlsGamepadButtons = {left:[14], right:[15], up:[12], down:[13], jump:[0], shoot:[2], throw:[1], dodge:[3], pause:[9], restart:[8]};
+const controlsPlayerOneKeys =
+{
+    left:    [37, 65],      // Left, A
+    right:   [39, 68],      // Right, D
+    up:      [38, 87],      // Up, W
+    down:    [40, 83],      // Down, S
+    jump:    [38, 87, 32],  // Up, W, Space
+    shoot:   [90, 0],       // Z, Mouse Left
+    throw:   [67, 2],       // C, Mouse Right
+    dodge:   [88, 1],       // X, Mouse Middle
+    pause:   [80],          // P
+    restart: [82],          // R
+    saveSlot: [79],         // O
+    save:    [117],         // F6
+    load:    [118],         // F7
+    export:  [119],         // F8
+    saveReplay: [120],      // F9
+    crt:     [86],          // V
+    shake:   [75],          // K
+    splitScreen: [76],      // L
+    twinStick: [71],        // G
+};
+
+let controlsMenu = 0, controlsPlayer = 0, controlsAction = 0, controlsWaiting = 0;
+
+///////////////////////////////////////////////////////////////////////////////
+
+function controlsInit()
+{
+    inputInitBindings([...Array(maxPlayers)].map((_, player)=>
+        Object.fromEntries(controlsPlayerActions(player).map((action)=>
+            [action, {keys:player ? [] : controlsPlayerOneKeys[action], buttons:controlsGamepadButtons[action] || []}]))),
+        'spaceHuggersControls');
+    audioInitMixer('spaceHuggersAudio');
+}
+
+// the page after the last player is the audio mixer
+const controlsIsAudioPage = ()=> controlsPlayer == maxPlayers;
+
+// returns true while the menu is open so the game does not update
+function controlsMenuUpdate()
+{
+    if (!controlsWaiting && keyWasPressed(controlsKeyMenu))
+    {
+        controlsMenu = engineObjectsFrozen = !controlsMenu;
+        controlsMenu || (inputSaveBindings(), audioSaveMixer());
+    }
+    if (!controlsMenu)
+        return 0;
+
+    if (controlsWaiting)
+    {
+        // bind the first key or button pressed, Esc cancels
+        const key = inputData[0].findIndex((k)=> k && k.p);
+        const gamepad = inputData[controlsPlayer+1];
+        const button = controlsPlayer < gamepadCount ? gamepad.findIndex((k)=> k && k.p) : -1;
+        if (key == 27)
+            controlsWaiting = 0;
+        else if (key >= 0 || button >= 0)
+        {
+            const binding = inputBindings[controlsPlayer][controlsPlayerActions(controlsPlayer)[controlsAction]];
+            key >= 0 ? binding.keys = [key] : binding.buttons = [button];
+            controlsWaiting = 0;
+        }
+        return 1;
+    }
+
+    // the menu uses fixed keys so it can not be unbound
+    controlsPlayer = mod(controlsPlayer + keyWasPressed(39) - keyWasPressed(37), maxPlayers + 1);
+    if (controlsIsAudioPage())
+    {
+        controlsAction = mod(controlsAction + keyWasPressed(40) - keyWasPressed(38), audioBuses.length);
+        const bus = audioBuses[controlsAction];
+        const change = keyWasPressed(187) + keyWasPressed(107) - keyWasPressed(189) - keyWasPressed(109);
+        change && audioSetVolume(bus, Math.round(audioMixer[bus].volume*10 + change)/10);
+        keyWasPressed(13) && audioSetMute(bus, !audioMixer[bus].mute);
+        return 1;
+    }
+
+    const actions = controlsPlayerActions(controlsPlayer);
+    controlsAction = mod(controlsAction + keyWasPressed(40) - keyWasPressed(38), actions.length);
+    const bindings = inputBindings[controlsPlayer], action = actions[controlsAction];
+    if (keyWasPressed(13))
+        controlsWaiting = 1;
+    if (keyWasPressed(46))
+        bindings[action] = {keys:[], buttons:[]};
+    if (keyWasPressed(8))
+        inputResetBindings();
+    return 1;
+}
+
+function controlsMenuRender()
+{
+    if (!controlsMenu)
+        return;
+
+    drawRectScreenSpace(mainCanvasSize.scale(.5), mainCanvasSize, new Color(0,0,0,.7));
+    mainContext.textAlign = 'center';
+    mainContext.font = '.5in impact';
+    mainContext.fillStyle = '#fff';
+    mainContext.fillText(controlsIsAudioPage() ? 'AUDIO' : 'CONTROLS   PLAYER ' + (controlsPlayer+1), mainCanvasSize.x/2, 80);
+
+    mainContext.font = '.3in impact';
+    if (controlsIsAudioPage())
+    {
+        audioBuses.forEach((bus, i)=>
+        {
+            const {volume, mute} = audioMixer[bus];
+            mainContext.fillStyle = i == controlsAction ? '#ff0' : '#fff';
+            mainContext.fillText(bus.toUpperCase() + '   ' + (mute ? 'muted' : Math.round(volume*100) + '%'), mainCanvasSize.x/2, 140 + i*40);
+        });
+        mainContext.fillStyle = '#fff';
+        mainContext.fillText('Up Down bus   Minus Plus volume   Enter mute   Left Right page   Tab close',
+            mainCanvasSize.x/2, 160 + audioBuses.length*40);
+        return;
+    }
+
+    // rows get closer together when player one's hotkeys do not fit
+    const actions = controlsPlayerActions(controlsPlayer);
+    const rowHeight = min(40, (mainCanvasSize.y - 200)/actions.length);
+    mainContext.font = rowHeight*.7 + 'px impact';
+    actions.forEach((action, i)=>
+    {
+        const binding = inputBindings[controlsPlayer][action];
+        const names = [...binding.keys.map(inputKeyName), ...binding.buttons.map((button)=> 'Button ' + button)];
+        const text = i == controlsAction && controlsWaiting ? 'press a key or button' : names.join(', ') || '-';
+        mainContext.fillStyle = i == controlsAction ? '#ff0' : '#fff';
+        mainContext.fillText(action.toUpperCase() + '   ' + text, mainCanvasSize.x/2, 140 + i*rowHeight);
+    });
+
+    mainContext.fillStyle = '#fff';
+    mainContext.font = '.3in impact';
+    mainContext.fillText('Up Down action   Left Right player   Enter bind   Delete clear   Backspace reset   Tab close',
+        mainCanvasSize.x/2, 160 + actions.length*rowHeight);
+}
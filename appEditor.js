@@ -0,0 +1,340 @@
+/*
+    Javascript Space Game
+    By Frank Force 2021
+
+    Level Editor
+    - F2 toggles the editor in debug builds, objects stop updating while editing
+    - Paint tile types into the collision or background layer
+    - Place, move and delete enemies, props, checkpoints and the player start
+    - Undo and redo each stroke by swapping back the tiles and objects it changed
+    - F3 play tests from the editor and goes back to a save system snapshot of how it was
+    - F4 exports the level as a Tiled map that can be added to the campaign
+*/
+
+'use strict';
+
+const editorKeyToggle   = 113; // F2
+const editorKeyPlayTest = 114; // F3
+const editorKeyExport   = 115; // F4
+const editorMaxUndo = 50;
+
+// brushes paint a tile type or place an object, types are enemy or prop types
+const editorBrushes =
+[
+    {name:'Dirt',      tileType:tileType_dirt},
+    {name:'Solid',     tileType:tileType_solid},
+    {name:'Base',      tileType:tileType_base},
+    {name:'Pipe H',    tileType:tileType_pipeH},
+    {name:'Pipe V',    tileType:tileType_pipeV},
+    {name:'Glass',     tileType:tileType_glass},
+    {name:'Base Back', tileType:tileType_baseBack},
+    {name:'Window',    tileType:tileType_window},
+    {name:'Ladder',    tileType:tileType_ladder},
+    {name:'Enemy',      types:type_count,     spawn:(pos, type)=> new Enemy(pos, type)},
+    {name:'Prop',       types:propType_count, spawn:(pos, type)=> new Prop(pos, type)},
+    {name:'Checkpoint', spawn:(pos)=> new Checkpoint(pos), clearsTiles:1},
+    {name:'Player Start'},
+];
+const editorShapeNames = ['', 'One Way', 'Slope Up', 'Slope Down', 'Slope Up Low', 'Slope Up High', 'Slope Down High', 'Slope Down Low'];
+
+let editorMode = 0, editorBrush = 0, editorBrushType = 0, editorBackground = 0;
+let editorUndoStack = [], editorRedoStack = [], editorEdit, editorPlayTestSnapshot, editorDragObject, editorDragOffset;
+
+///////////////////////////////////////////////////////////////////////////////
+
+// returns true while editing so the game does not update
+function editorUpdate()
+{
+    // play test from the editor and go back to where it was
+    if (keyWasPressed(editorKeyPlayTest) && editorMode)
+    {
+        editorPlayTestSnapshot = editorSnapshot();
+        editorSetMode(0);
+    }
+    else if (editorPlayTestSnapshot && (keyWasPressed(editorKeyPlayTest) || keyWasPressed(editorKeyToggle)))
+    {
+        editorRestore(editorPlayTestSnapshot);
+        editorPlayTestSnapshot = 0;
+        editorSetMode(1);
+    }
+    else if (keyWasPressed(editorKeyToggle))
+        editorSetMode(!editorMode);
+
+    if (!editorMode)
+        return 0;
+
+    // pan with arrow keys and zoom with the mouse wheel
+    const panSpeed = 20/cameraScale;
+    cameraPos = cameraPos.add(vec2(actionIsDown('right') - actionIsDown('left'), actionIsDown('up') - actionIsDown('down')).scale(panSpeed));
+    if (mouseWheel)
+        cameraScale = clamp(cameraScale*(1-mouseWheel/10), defaultTileSize.x*16, defaultTileSize.x/16);
+
+    // [ ] picks the brush, - = picks the shape or type, B switches between collision and background
+    const brushDelta = keyWasPressed(221) - keyWasPressed(219);
+    if (brushDelta)
+    {
+        editorBrush = mod(editorBrush + brushDelta, editorBrushes.length);
+        editorBrushType = 0;
+    }
+    if (keyWasPressed(66))
+    {
+        editorBackground = !editorBackground;
+        editorBrushType = 0;
+    }
+    const brush = editorBrushes[editorBrush];
+    const typeCount = brush.tileType ? editorBackground ? 1 : editorShapeNames.length : brush.types || 1;
+    editorBrushType = mod(editorBrushType + keyWasPressed(187) - keyWasPressed(189), typeCount);
+
+    if (keyIsDown(17) && keyWasPressed(90))
+        editorUndo(editorUndoStack, editorRedoStack);
+    if (keyIsDown(17) && keyWasPressed(89))
+        editorUndo(editorRedoStack, editorUndoStack);
+    if (keyWasPressed(editorKeyExport))
+        editorExport();
+
+    if (brush.tileType)
+    {
+        // left mouse paints and right mouse erases, undo is saved once per stroke
+        (mouseWasPressed(0) || mouseWasPressed(2)) && editorSaveUndo();
+        if (mouseIsDown(0) || mouseIsDown(2))
+        {
+            const erase = !mouseIsDown(0);
+            editorSetTile(mousePosWorld.int(), erase ? tileType_empty : brush.tileType, erase ? 0 : editorBrushType, editorBackground);
+        }
+        return 1;
+    }
+
+    // left mouse places objects or drags them, right mouse deletes them
+    const pickedObject = editorPickObject(mousePosWorld);
+    if (mouseWasPressed(0))
+    {
+        editorSaveUndo();
+        if (pickedObject)
+        {
+            editorDragObject = pickedObject;
+            editorDragOffset = pickedObject.pos.subtract(mousePosWorld);
+        }
+        else if (brush.spawn)
+        {
+            // checkpoints clear space around them
+            const clearMin = mousePosWorld.int().subtract(vec2(1)), clearMax = mousePosWorld.int().add(vec2(1,4));
+            brush.clearsTiles && editorRecordTiles(clearMin, clearMax);
+            const o = brush.spawn(mousePosWorld, editorBrushType);
+            editorRecordObject(o, 0);
+            brush.clearsTiles && editorRedrawTiles(clearMin, clearMax);
+        }
+        else
+            editorMoveObject(activeCheckpoint, mousePosWorld); // player start
+    }
+    if (mouseWasPressed(2) && pickedObject && !pickedObject.isPlayer && pickedObject != activeCheckpoint)
+    {
+        editorSaveUndo();
+        editorRecordObject(pickedObject);
+        editorSetInWorld(pickedObject, 0);
+    }
+    if (editorDragObject)
+        mouseIsDown(0) ? editorMoveObject(editorDragObject, mousePosWorld.add(editorDragOffset)) : editorDragObject = 0;
+    return 1;
+}
+
+function editorRender()
+{
+    mainContext.fillStyle = new Color(0,0,0).rgba();
+    if (editorPlayTestSnapshot)
+        mainContext.fillText('PLAY TEST   F3 back to editor', mainCanvas.width/2, 60);
+    if (!editorMode)
+        return;
+
+    // show the player start, picked object and brush
+    drawRect(checkpointPos, vec2(1), new Color(0,1,0,.3));
+    const brush = editorBrushes[editorBrush];
+    const pickedObject = !brush.tileType && editorPickObject(mousePosWorld);
+    if (pickedObject)
+        drawRect(pickedObject.pos, pickedObject.size.add(vec2(.2)), new Color(1,1,0,.4));
+    else if (brush.tileType)
+        drawRect(mousePosWorld.int().add(vec2(.5)), vec2(1), editorBackground ? new Color(0,0,1,.4) : new Color(1,1,1,.4));
+    else
+        drawRect(mousePosWorld, vec2(.5), new Color(1,1,1,.4));
+
+    let brushName = brush.name;
+    if (brush.types)
+        brushName += ' ' + editorBrushType;
+    else if (brush.tileType && editorBrushType)
+        brushName += ' ' + editorShapeNames[editorBrushType];
+    if (brush.tileType && editorBackground)
+        brushName += ' Background';
+    mainContext.fillText('EDITOR   ' + brushName, mainCanvas.width/2, 60);
+    mainContext.fillText('[ ] brush   - = type   B layer   Ctrl Z undo   Ctrl Y redo   F3 play test   F4 export', mainCanvas.width/2, 100);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+function editorSetMode(enable)
+{
+    // a replay can not play through an edited level
+    if (enable)
+    {
+        replayPlaying && replayStopPlayback();
+        replayStopRecording();
+    }
+    editorMode = engineObjectsFrozen = enable;
+    editorDragObject = 0;
+
+    // the editor moves the camera itself
+    cameraPanPoints = [];
+    cameraZoom();
+}
+
+// the whole world is saved with the save system for play testing
+// undo is saved with it so its objects are loaded as the same ones in the world
+const editorSnapshot = ()=> JSON.stringify(saveEncode({state:getGameState(), editorUndoStack, editorRedoStack}));
+function editorRestore(snapshot)
+{
+    const pos = cameraPos, scale = cameraScale, saved = saveDecode(JSON.parse(snapshot));
+    setGameState(saved.state);
+    ({editorUndoStack, editorRedoStack} = saved);
+    editorMode && (cameraPos = pos, cameraScale = scale); // keep the view while editing
+}
+
+// start a new undo step, tiles and objects are recorded as they were before they change
+function editorSaveUndo()
+{
+    editorUndoStack.push(editorEdit = {tiles:{}, objects:[]});
+    editorUndoStack.length > editorMaxUndo && editorUndoStack.shift();
+    editorRedoStack = [];
+}
+
+function editorRecordTiles(minPos, maxPos)
+{
+    for(let x = minPos.x; x <= maxPos.x; ++x)
+    for(let y = minPos.y; y <= maxPos.y; ++y)
+    {
+        const pos = vec2(x,y), i = x + y*tileCollisionSize.x;
+        if (editorEdit && pos.arrayCheck(tileCollisionSize) && !editorEdit.tiles[i])
+            editorEdit.tiles[i] = [pos, getTileCollisionData(pos), getTileCollisionShape(pos), getTileBackgroundData(pos)];
+    }
+}
+
+const editorRecordObject = (o, inWorld=engineObjects.includes(o))=>
+    editorEdit && !editorEdit.objects.some((record)=> record[0] == o) && editorEdit.objects.push([o, o.pos.copy(), inWorld]);
+
+// swap the recorded tiles and objects with how they are now, which is saved to the other stack
+function editorUndo(fromStack, toStack)
+{
+    const edit = fromStack.pop();
+    if (!edit)
+        return;
+
+    toStack.push(editorEdit = {tiles:{}, objects:[]});
+    const tiles = Object.values(edit.tiles);
+    for(const [pos, data, shape, background] of tiles)
+    {
+        editorRecordTiles(pos, pos);
+        setTileCollisionData(pos, data, shape);
+        background != getTileBackgroundData(pos) && setTileBackgroundData(pos, background);
+    }
+    if (tiles.length)
+    {
+        const minPos = tiles.reduce((v, [pos])=> vec2(min(v.x, pos.x), min(v.y, pos.y)), tiles[0][0]);
+        const maxPos = tiles.reduce((v, [pos])=> vec2(max(v.x, pos.x), max(v.y, pos.y)), tiles[0][0]);
+        editorRedrawTiles(minPos, maxPos);
+    }
+    for(const [o, pos, inWorld] of edit.objects)
+    {
+        editorRecordObject(o);
+        editorSetInWorld(o, inWorld);
+        editorMoveObject(o, pos);
+    }
+    editorEdit = editorDragObject = 0;
+}
+
+// an object with all of its children and their children, like a weapon's shell emitter
+const editorFamily = (o)=> [o, ...o.children.flatMap(editorFamily)];
+
+// deleted objects are taken out of the world instead of destroyed so undo can bring them back
+function editorSetInWorld(o, inWorld)
+{
+    const family = editorFamily(o);
+    engineObjects = engineObjects.filter((x)=> !family.includes(x));
+    engineCollideObjects = engineCollideObjects.filter((x)=> !family.includes(x));
+    if (!inWorld)
+        return;
+
+    engineObjects.push(...family);
+    engineCollideObjects.push(...family.filter((x)=> x.collideSolidObjects));
+}
+
+const editorCanEdit = (o)=> o instanceof Enemy || o instanceof Prop || o instanceof Checkpoint || o instanceof Player;
+const editorPickObject = (pos)=> engineObjects.find((o)=>
+    !o.destroyed && editorCanEdit(o) && isOverlapping(pos, vec2(), o.pos, o.size.add(vec2(.2))));
+
+function editorMoveObject(o, pos)
+{
+    // checkpoints stay centered on a tile
+    if (o.isCheckpoint)
+        pos = pos.int().add(vec2(.5));
+
+    editorRecordObject(o);
+    const delta = pos.subtract(o.pos);
+    o.pos = pos;
+    o.velocity = vec2();
+    for(const child of editorFamily(o).slice(1))
+        child.pos = child.pos.add(delta);
+
+    // the player start brings the players with it
+    if (o == activeCheckpoint)
+    {
+        checkpointPos = pos;
+        for(const player of players)
+            player && editorMoveObject(player, pos);
+    }
+}
+
+function editorSetTile(pos, tileType, shape, background)
+{
+    if (background ? getTileBackgroundData(pos) == tileType :
+        getTileCollisionData(pos) == tileType && getTileCollisionShape(pos) == shape)
+        return; // already set
+
+    editorRecordTiles(pos, pos);
+    background ? setTileBackgroundData(pos, tileType) : setTileCollisionData(pos, tileType, shape);
+    editorRedrawTiles(pos, pos);
+}
+
+// update how tiles look after they change, neighbors are redrawn too for outlines
+function editorRedrawTiles(minPos, maxPos)
+{
+    const forEachTile = (border, callback)=>
+    {
+        for(let x = minPos.x - border|0; x <= maxPos.x + border; ++x)
+        for(let y = minPos.y - border|0; y <= maxPos.y + border; ++y)
+            vec2(x,y).arrayCheck(levelSize) && callback(vec2(x,y));
+    }
+
+    forEachTile(0, (pos)=>
+    {
+        tileLayer.setData(pos, makeTileLayerData(pos));
+        tileBackgroundLayer.setData(pos, makeBackgroundTileLayerData(pos));
+    });
+    if (headless)
+        return;
+
+    for(const layer of [tileLayer, tileBackgroundLayer])
+    {
+        layer.redrawStart(0);
+        forEachTile(1, (pos)=> layer.drawTileData(pos));
+        layer.redrawEnd();
+    }
+    forEachTile(1, (pos)=>
+    {
+        decorateBackgroundTile(pos);
+        decorateTile(pos);
+    });
+}
+
+function editorExport()
+{
+    const map = makeTiledMap();
+    headless || saveDownload(JSON.stringify(map), 'spaceHuggersLevel.json');
+    return map;
+}
@@ -12,17 +12,62 @@ const debugFire = 0;
 ///////////////////////////////////////////////////////////////////////////////
 // sounds
 
-const sound_shoot =        [,,90,,.01,.03,4,,,,,,,9,50,.2,,.2,.01];
-const sound_destroyTile =  [.5,,1e3,.02,,.2,1,3,.1,,,,,1,-30,.5,,.5];
-const sound_die =          [.5,.4,126,.05,,.2,1,2.09,,-4,,,1,1,1,.4,.03];
-const sound_jump =         [.4,.2,250,.04,,.04,,,1,,,,,3];
-const sound_dodge =        [.4,.2,150,.05,,.05,,,-1,,,,,4,,,,,.02];
-const sound_walk =         [.3,.1,70,,,.01,4,,,,-9,.1,,,,,,.5];
-const sound_explosion =    [2,.2,72,.01,.01,.2,4,,,,,,,1,,.5,.1,.5,.02];
-const sound_checkpoint =   [.6,0,500,,.04,.3,1,2,,,570,.02,.02,,,,.04];
-const sound_rain =         [.02,,1e3,2,,2,,,,,,,,99];
-const sound_wind =         [.01,.3,2e3,2,1,2,,,,,,,1,2,,,,,,.1];
-const sound_grenade =      [.5,.01,300,,,.02,3,.22,,,-9,.2,,,,,,.5];
+// the sound bank is json so the sound designer can download this declaration to replace it, parameters left out use the zzfx defaults
+// vary is a plus or minus range for parameters that change each time the sound plays
+const soundBankData =
+{
+    "shoot": {"frequency": 90, "sustain": 0.01, "release": 0.03, "shape": 4, "noise": 9, "modulation": 50, "bitCrush": 0.2, "sustainVolume": 0.2, "decay": 0.01,
+        "vary": {"volume": 0.1, "frequency": 15, "modulation": 10}},
+    "destroyTile": {"volume": 0.5, "frequency": 1000, "attack": 0.02, "release": 0.2, "shape": 1, "shapeCurve": 3, "slide": 0.1, "noise": 1, "modulation": -30, "bitCrush": 0.5, "sustainVolume": 0.5,
+        "vary": {"frequency": 200}},
+    "die": {"volume": 0.5, "randomness": 0.4, "frequency": 126, "attack": 0.05, "release": 0.2, "shape": 1, "shapeCurve": 2.09, "deltaSlide": -4, "repeatTime": 1, "noise": 1, "modulation": 1, "bitCrush": 0.4, "delay": 0.03},
+    "jump": {"volume": 0.4, "randomness": 0.2, "frequency": 250, "attack": 0.04, "release": 0.04, "slide": 1, "noise": 3,
+        "vary": {"attack": 0.01}},
+    "dodge": {"volume": 0.4, "randomness": 0.2, "frequency": 150, "attack": 0.05, "release": 0.05, "slide": -1, "noise": 4, "decay": 0.02},
+    "walk": {"volume": 0.3, "randomness": 0.1, "frequency": 70, "release": 0.01, "shape": 4, "pitchJump": -9, "pitchJumpTime": 0.1, "sustainVolume": 0.5,
+        "vary": {"volume": 0.1, "frequency": 10, "release": 0.005}},
+    "explosion": {"volume": 2, "randomness": 0.2, "frequency": 72, "attack": 0.01, "sustain": 0.01, "release": 0.2, "shape": 4, "noise": 1, "bitCrush": 0.5, "delay": 0.1, "sustainVolume": 0.5, "decay": 0.02,
+        "vary": {"release": 0.05, "delay": 0.05}},
+    "checkpoint": {"volume": 0.6, "randomness": 0, "frequency": 500, "sustain": 0.04, "release": 0.3, "shape": 1, "shapeCurve": 2, "pitchJump": 570, "pitchJumpTime": 0.02, "repeatTime": 0.02, "delay": 0.04},
+    "rain": {"volume": 0.02, "frequency": 1000, "attack": 2, "release": 2, "noise": 99},
+    "wind": {"volume": 0.01, "randomness": 0.3, "frequency": 2000, "attack": 2, "sustain": 1, "release": 2, "repeatTime": 1, "noise": 2, "tremolo": 0.1},
+    "grenade": {"volume": 0.5, "randomness": 0.01, "frequency": 300, "release": 0.02, "shape": 3, "shapeCurve": 0.22, "pitchJump": -9, "pitchJumpTime": 0.2, "sustainVolume": 0.5}
+};
+
+soundBankLoad(soundBankData);
+const sound_shoot =        soundBankSounds.shoot;
+const sound_destroyTile =  soundBankSounds.destroyTile;
+const sound_die =          soundBankSounds.die;
+const sound_jump =         soundBankSounds.jump;
+const sound_dodge =        soundBankSounds.dodge;
+const sound_walk =         soundBankSounds.walk;
+const sound_explosion =    soundBankSounds.explosion;
+const sound_checkpoint =   soundBankSounds.checkpoint;
+const sound_rain =         soundBankSounds.rain;
+const sound_wind =         soundBankSounds.wind;
+const sound_grenade =      soundBankSounds.grenade;
+
+///////////////////////////////////////////////////////////////////////////////
+// particle presets
+
+// presets are json so the particle editor can save this declaration to replace it, settings left out use the emitter defaults
+const particlePresetData =
+{
+    "blood": {"emitSize": 1, "emitTime": 0.1, "emitRate": 50, "colorStartA": [1,0,0,1], "colorStartB": [0.5,0,0,1], "colorEndA": [1,0,0,1], "colorEndB": [0.5,0,0,1], "particleTime": 3, "sizeEnd": 0.1, "angleSpeed": 0.1, "angleDamping": 0.95, "gravityScale": 0.7, "fadeRate": 0, "randomness": 0.5, "collideTiles": 1},
+    "fire": {"emitSize": 1, "emitRate": 60, "tileIndex": 0, "colorStartA": [1,1,0,1], "colorStartB": [1,0.5,0.5,1], "colorEndA": [1,0,0,1], "colorEndB": [1,0.5,0.1,1], "sizeStart": 0.5, "sizeEnd": 0.1, "speed": 0.01, "angleSpeed": 0.1, "damping": 0.95, "angleDamping": 0.1, "gravityScale": -0.05, "fadeRate": 0.5, "randomness": 0.5, "additive": 1, "lightRadius": 4, "lightColor": [1,0.5,0.1,1]},
+    "debris": {"emitSize": 1, "emitTime": 0.1, "particleTime": 3, "sizeStart": 0.2, "sizeEnd": 0.2, "angleDamping": 0.95, "gravityScale": 0.4, "fadeRate": 0, "randomness": 0.5, "collideTiles": 1, "elasticity": 0.3},
+    "waterSpray": {"emitSize": 1, "emitTime": 0.05, "emitRate": 400, "tileIndex": 0, "colorStartA": [1,1,1,0.5], "colorStartB": [0.5,1,1,0.2], "colorEndA": [1,1,1,0.5], "colorEndB": [0.5,1,1,0.2], "sizeStart": 0.5, "sizeEnd": 2, "damping": 0.9, "fadeRate": 0.5, "randomness": 0.5, "randomColorLinear": 0, "renderOrder": 1e9},
+    "waterDrops": {"emitSize": 1, "emitTime": 0.1, "emitRate": 400, "tileIndex": 0, "colorStartA": [0.8,1,1,0.6], "colorStartB": [0.5,0.5,1,0.2], "colorEndA": [0.8,1,1,0.6], "colorEndB": [0.5,0.5,1,0.2], "particleTime": 2, "sizeEnd": 0.1, "speed": 0.2, "angleSpeed": 0, "damping": 0.99, "gravityScale": 0.5, "fadeRate": 0.2, "randomness": 0.5, "collideTiles": 1, "elasticity": 0.2, "trailScale": 2},
+    "smoke": {"emitSize": 1, "emitTime": 0.2, "tileIndex": 0, "colorStartA": [0,0,0,1], "colorStartB": [0,0,0,1], "colorEndA": [0,0,0,0], "colorEndB": [0,0,0,0], "particleTime": 1, "sizeStart": 0.5, "sizeEnd": 2, "damping": 0.9, "gravityScale": -0.3, "randomness": 0.5, "randomColorLinear": 0, "renderOrder": 1e8},
+    "explosionFire": {"emitSize": 1, "emitTime": 0.1, "emitRate": 200, "tileIndex": 0, "colorStartA": [1,0.5,0.1,1], "colorStartB": [1,0.1,0.1,1], "colorEndA": [1,0.5,0.1,0], "colorEndB": [1,0.1,0.1,0], "sizeStart": 0.5, "sizeEnd": 2, "damping": 0.9, "fadeRate": 0.05, "randomness": 0.5, "additive": 1, "randomColorLinear": 0, "lightRadius": 8, "lightColor": [1,0.7,0.3,1]},
+    "shells": {"emitRate": 0, "emitConeAngle": 0.1, "colorStartA": [1,0.8,0.5,1], "colorStartB": [0.9,0.7,0.5,1], "colorEndA": [1,0.8,0.5,1], "colorEndB": [0.9,0.7,0.5,1], "particleTime": 3, "sizeEnd": 0.1, "speed": 0.15, "angleSpeed": 0.1, "angleDamping": 0.95, "gravityScale": 1, "particleConeAngle": 0, "fadeRate": 0, "randomness": 0.1, "collideTiles": 1, "elasticity": 0.5},
+    "bulletFizzle": {"emitSize": 0.2, "emitTime": 0.1, "tileIndex": 0, "colorStartA": [1,1,0,0.5], "colorStartB": [1,1,1,0.5], "colorEndA": [1,1,0,0], "colorEndB": [1,1,1,0], "particleTime": 0.1, "sizeStart": 0.5, "sizeEnd": 0.1, "angleSpeed": 0.1, "gravityScale": 0.5, "randomness": 0.5, "additive": 1},
+    "sparks": {"emitTime": 0.1, "emitConeAngle": 0.5, "colorStartA": [1,1,0,1], "colorStartB": [1,0,0,1], "colorEndA": [1,1,0,1], "colorEndB": [1,0,0,1], "particleTime": 0.2, "sizeStart": 0.2, "sizeEnd": 0, "angleSpeed": 0.1, "gravityScale": 0.5, "randomness": 0.5, "collideTiles": 1, "additive": 1, "elasticity": 0.3, "trailScale": 1},
+    "rain": {"emitSize": 3, "emitRate": 0, "emitConeAngle": 0.3, "tileIndex": 0, "colorStartA": [0.8,1,1,0.6], "colorStartB": [0.5,0.5,1,0.2], "colorEndA": [0.8,1,1,0.6], "colorEndB": [0.5,0.5,1,0.2], "particleTime": 2, "sizeEnd": 0.1, "speed": 0.2, "angleSpeed": 0, "damping": 0.99, "gravityScale": 0.5, "fadeRate": 0.2, "randomness": 0.5, "collideTiles": 1, "elasticity": 0.2, "trailScale": 2},
+    "snow": {"emitSize": 3, "emitRate": 0, "emitConeAngle": 0.5, "tileIndex": 0, "colorStartA": [1,1,1,0.8], "colorStartB": [1,1,1,0.2], "colorEndA": [1,1,1,0.8], "colorEndB": [1,1,1,0.2], "particleTime": 3, "sizeEnd": 0.1, "speed": 0.3, "angleSpeed": 0.01, "damping": 0.98, "gravityScale": 0.2, "fadeRate": 0.2, "randomness": 0.5, "collideTiles": 1}
+};
+
+particlePresetsLoad(particlePresetData);
 
 ///////////////////////////////////////////////////////////////////////////////
 // special effects
@@ -37,44 +82,21 @@ const persistentParticleDestroyCallback = (particle)=>
 
 function makeBlood(pos, amount=50)
 {
-    const emitter = new ParticleEmitter(
-        pos, 1, .1, amount, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-        undefined, undefined,   // tileIndex, tileSize
-        new Color(1,0,0), new Color(.5,0,0), // colorStartA, colorStartB
-        new Color(1,0,0), new Color(.5,0,0), // colorEndA, colorEndB
-        3, .1, .1, .1, .1, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-        1, .95, .7, PI, 0,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-        .5, 1              // randomness, collide, additive, randomColorLinear, renderOrder
-    );
+    const emitter = new ParticleEmitter(pos, particlePresets.blood, {emitRate:amount});
     emitter.particleDestroyCallback = persistentParticleDestroyCallback;
     return emitter;
 }
 
 function makeFire(pos = vec2())
 {
-    return new ParticleEmitter(
-        pos, 1, 0, 60, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-        0, undefined,   // tileIndex, tileSize
-        new Color(1,1,0), new Color(1,.5,.5), // colorStartA, colorStartB
-        new Color(1,0,0), new Color(1,.5,.1), // colorEndA, colorEndB
-        .5, .5, .1, .01, .1, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-        .95, .1, -.05, PI, .5,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-        .5, 0, 1);             // randomness, collide, additive, randomColorLinear, renderOrder
+    return new ParticleEmitter(pos, particlePresets.fire);
 }
 
 function makeDebris(pos, color = new Color, amount = 100)
 {
     const color2 = color.lerp(new Color, .5);
-    const emitter = new ParticleEmitter(
-        pos, 1, .1, amount, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-        undefined, undefined, // tileIndex, tileSize
-        color, color2,       // colorStartA, colorStartB
-        color, color2,       // colorEndA, colorEndB
-        3, .2, .2, .1, .05, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-        1, .95, .4, PI, 0,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-        .5, 1               // randomness, collide, additive, randomColorLinear, renderOrder
-    );
-    emitter.elasticity = .3;
+    const emitter = new ParticleEmitter(pos, particlePresets.debris,
+        {emitRate:amount, colorStartA:color, colorStartB:color2, colorEndA:color, colorEndB:color2});
     emitter.particleDestroyCallback = persistentParticleDestroyCallback;
     return emitter;
 }
@@ -82,28 +104,10 @@ function makeDebris(pos, color = new Color, amount = 100)
 function makeWater(pos, amount=400)
 {
     // overall spray
-    new ParticleEmitter(
-        pos, 1, .05, 400, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-        0, undefined,        // tileIndex, tileSize
-        new Color(1,1,1,.5), new Color(.5,1,1,.2), // colorStartA, colorStartB
-        new Color(1,1,1,.5), new Color(.5,1,1,.2), // colorEndA, colorEndB
-        .5, .5, 2, .1, .05, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-        .9, 1, 0, PI, .5,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-        .5, 0, 0, 0, 1e9              // randomness, collide, additive, randomColorLinear, renderOrder
-    );
+    new ParticleEmitter(pos, particlePresets.waterSpray);
 
     // droplets
-    const emitter = new ParticleEmitter(
-        pos, 1, .1, amount, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-        0, undefined,   // tileIndex, tileSize
-        new Color(.8,1,1,.6), new Color(.5,.5,1,.2), // colorStartA, colorStartB
-        new Color(.8,1,1,.6), new Color(.5,.5,1,.2), // colorEndA, colorEndB
-        2, .1, .1, .2, 0,  // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-        .99, 1, .5, PI, .2,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-        .5, 1              // randomness, collide, additive, randomColorLinear, renderOrder
-    );
-    emitter.elasticity = .2;
-    emitter.trailScale = 2;
+    const emitter = new ParticleEmitter(pos, particlePresets.waterDrops, {emitRate:amount});
 
     // put out fires
     const radius = 3;
@@ -117,7 +121,7 @@ function makeWater(pos, amount=400)
             const force = o.pos.subtract(pos).normalize(p*radius*.2);
             o.applyForce(force);
             if (o.isDead && o.isDead())
-                o.angleVelocity += randSign()*rand(radius/4,.3);
+                o.angleVelocity += randCombat.sign()*randCombat.float(radius/4,.3);
         }
     });
 
@@ -134,23 +138,32 @@ function explosion(pos, radius=2)
     if (levelWarmup)
         return;
 
+    // online clients only show explosions the host sends
+    const netClient = isNetClient();
+    if (netClient && !netReceivingEvent)
+        return;
+    netSendEvent('explosion', pos.x, pos.y, radius);
+
     const damage = radius*2;
 
-    // destroy level
-    for(let x = -radius; x < radius; ++x)
+    // destroy level, clients get the destroyed tiles from the host
+    if (!netClient)
     {
-        const h = (radius**2 - x**2)**.5;
-        for(let y = -h; y <= h; ++y)
-            destroyTile(pos.add(vec2(x,y)), 0, 0);
-    }
+        for(let x = -radius; x < radius; ++x)
+        {
+            const h = (radius**2 - x**2)**.5;
+            for(let y = -h; y <= h; ++y)
+                destroyTile(pos.add(vec2(x,y)), 0, 0);
+        }
 
-    // cleanup neighbors
-    const cleanupRadius = radius + 1;
-    for(let x = -cleanupRadius; x < cleanupRadius; ++x)
-    {
-        const h = (cleanupRadius**2 - x**2)**.5;
-        for(let y = -h; y < h; ++y)
-            decorateTile(pos.add(vec2(x,y)).int());
+        // cleanup neighbors
+        const cleanupRadius = radius + 1;
+        for(let x = -cleanupRadius; x < cleanupRadius; ++x)
+        {
+            const h = (cleanupRadius**2 - x**2)**.5;
+            for(let y = -h; y < h; ++y)
+                decorateTile(pos.add(vec2(x,y)).int());
+        }
     }
 
     // kill/push objects
@@ -172,34 +185,19 @@ function explosion(pos, radius=2)
         const force = o.pos.subtract(pos).normalize(p*radius*.2);
         o.applyForce(force);
         if (o.isDead && o.isDead())
-            o.angleVelocity += randSign()*rand(p*radius/4,.3);
+            o.angleVelocity += randCombat.sign()*randCombat.float(p*radius/4,.3);
     });
 
     playSound(sound_explosion, pos);
+    cameraAddTrauma(radius*.2, pos);
     debugFire && debugCircle(pos, maxRangeSquared**.5, '#f00', 2);
     debugFire && debugCircle(pos, radius**.5, '#ff0', 2);
 
     // smoke
-    new ParticleEmitter(
-        pos, radius/2, .2, 50*radius, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-        0, undefined,        // tileIndex, tileSize
-        new Color(0,0,0), new Color(0,0,0), // colorStartA, colorStartB
-        new Color(0,0,0,0), new Color(0,0,0,0), // colorEndA, colorEndB
-        1, .5, 2, .1, .05, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-        .9, 1, -.3, PI, .1,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-        .5, 0, 0, 0, 1e8              // randomness, collide, additive, randomColorLinear, renderOrder
-    );
-
-    // fire
-    new ParticleEmitter(
-        pos, radius/2, .1, 100*radius, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-        0, undefined,        // tileIndex, tileSize
-        new Color(1,.5,.1), new Color(1,.1,.1), // colorStartA, colorStartB
-        new Color(1,.5,.1,0), new Color(1,.1,.1,0), // colorEndA, colorEndB
-        .5, .5, 2, .1, .05, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-        .9, 1, 0, PI, .05,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-        .5, 0, 1, 0, 1e9              // randomness, collide, additive, randomColorLinear, renderOrder
-    );
+    new ParticleEmitter(pos, particlePresets.smoke, {emitSize:radius/2, emitRate:50*radius});
+
+    // fire, it flashes light over the area
+    new ParticleEmitter(pos, particlePresets.explosionFire, {emitSize:radius/2, emitRate:100*radius, lightRadius:radius*4});
 }
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -210,7 +208,7 @@ class TileCascadeDestroy extends EngineObject
     {
         super(pos, vec2());
         this.cascadeChance = cascadeChance;
-        this.destroyTimer = new Timer(glass ? .05 : rand(.3, .1));
+        this.destroyTimer = new Timer(glass ? .05 : randCombat.float(.3, .1));
     }
 
     update()
@@ -226,7 +224,7 @@ class TileCascadeDestroy extends EngineObject
 function decorateBackgroundTile(pos)
 {
     const tileData = getTileBackgroundData(pos);
-    if (tileData <= 0)
+    if (tileData <= 0 || headless)
         return; // no need to clear if background cant change
 
     // round corners
@@ -262,7 +260,32 @@ function decorateTile(pos)
         return;
     }
 
-    if (tileData != tileType_dirt &
+    const slopeHeights = tileShapeSlopeHeights[getTileCollisionShape(pos)];
+    if (slopeHeights && !headless)
+    {
+        // draw slopes as a filled shape with an outline along the top
+        const color = tileLayer.getData(pos).color;
+        tileLayer.drawCanvas2D(pos.add(vec2(.5)), vec2(1), 0, 0, (context)=>
+        {
+            context.fillStyle = color.rgba();
+            context.beginPath();
+            context.lineTo(-.5, .5);
+            context.lineTo(.5, .5);
+            context.lineTo(.5, .5 - slopeHeights[1]);
+            context.lineTo(-.5, .5 - slopeHeights[0]);
+            context.fill();
+
+            context.strokeStyle = levelGroundColor.mutate(.1).rgba();
+            context.lineWidth = 2/16;
+            context.beginPath();
+            context.lineTo(-.5, .5 - slopeHeights[0]);
+            context.lineTo(.5, .5 - slopeHeights[1]);
+            context.stroke();
+        });
+        return;
+    }
+
+    if (headless || tileData != tileType_dirt &
             tileData != tileType_base &
             tileData != tileType_pipeV &
             tileData != tileType_pipeH &
@@ -301,6 +324,10 @@ function destroyTile(pos, makeSound = 1, cleanNeighbors = 1, maxCascadeChance =
     // pos must be an int
     pos = pos.int();
 
+    // online clients only destroy tiles the host sends
+    if (isNetClient() && !netReceivingEvent)
+        return 0;
+
     // destroy tile
     const tileType = getTileCollisionData(pos);
 
@@ -316,6 +343,7 @@ function destroyTile(pos, makeSound = 1, cleanNeighbors = 1, maxCascadeChance =
 
         setTileCollisionData(pos, tileType_empty);
         tileLayer.setData(pos, new TileLayerData, 1); // set and clear tile
+        netSendEvent('tile', pos.x, pos.y, makeSound);
 
         // cleanup neighbors
         if (cleanNeighbors)
@@ -335,7 +363,7 @@ function destroyTile(pos, makeSound = 1, cleanNeighbors = 1, maxCascadeChance =
         else if (tileType != tileType_dirt)
             maxCascadeChance = 0;
 
-        if (rand() < maxCascadeChance && getTileCollisionData(pos.add(vec2(0,1))) == tileType)
+        if (randCombat.float() < maxCascadeChance && getTileCollisionData(pos.add(vec2(0,1))) == tileType)
             new TileCascadeDestroy(pos.add(vec2(0,1)), maxCascadeChance * .4, tileType == tileType_glass);
     }
 
@@ -346,24 +374,28 @@ function destroyTile(pos, makeSound = 1, cleanNeighbors = 1, maxCascadeChance =
 
 function drawStars()
 {
-    randSeed = levelSeed;
+    if (headless)
+        return;
+
+    // stars use their own generator so they are the same every frame
+    const random = new RandomGenerator(levelSeed);
     for(let i = lowGraphicsSettings ? 400 : 1e3; i--;)
     {
-        let size = randSeeded(6, 1);
-        let speed = randSeeded() < .9 ? randSeeded(5) : randSeeded(99,9);
-        let color = (new Color).setHSLA(randSeeded(.2,-.3), randSeeded()**9, randSeeded(1,.5), randSeeded(.9,.3));
+        let size = random.float(6, 1);
+        let speed = random.float() < .9 ? random.float(5) : random.float(99,9);
+        let color = (new Color).setHSLA(random.float(.2,-.3), random.float()**9, random.float(1,.5), random.float(.9,.3));
         if (i < 9)
         {
             // suns or moons
-            size = randSeeded()**3*99 + 9;
-            speed = randSeeded(5);
-            color = (new Color).setHSLA(randSeeded(), randSeeded(), randSeeded(1,.5)).add(levelSkyColor.scale(.5)).clamp();
+            size = random.float()**3*99 + 9;
+            speed = random.float(5);
+            color = (new Color).setHSLA(random.float(), random.float(), random.float(1,.5)).add(levelSkyColor.scale(.5)).clamp();
         }
         
-        const w = mainCanvas.width+400, h = mainCanvas.height+400;
+        const w = mainCanvasSize.x+400, h = mainCanvasSize.y+400;
         const screenPos = vec2(
-            (randSeeded(w)+time*speed)%w-200,
-            (randSeeded(h)+time*speed*randSeeded(1,.2))%h-200);
+            (random.float(w)+time*speed)%w-200,
+            (random.float(h)+time*speed*random.float(1,.2))%h-200);
 
         if (lowGraphicsSettings)
         {
@@ -386,8 +418,8 @@ function updateSky()
 
     let skyParticlesPos = cameraPos.add(vec2(rand(-40,40),0));
     const raycastHit = tileCollisionRaycast(vec2(skyParticlesPos.x, levelSize.y), vec2(skyParticlesPos.x, 0));
-    if (raycastHit && raycastHit.y > cameraPos.y+10)
-        skyParticlesPos = raycastHit;
+    if (raycastHit && raycastHit.pos.y > cameraPos.y+10)
+        skyParticlesPos = raycastHit.pos;
     skyParticles.pos = skyParticlesPos.add(vec2(0,20));
     
     if (rand() < .002)
@@ -399,12 +431,35 @@ function updateSky()
     if (!levelWarmup && !skySoundTimer.active())
     {
         skySoundTimer.set(rand(2,1));
-        playSound(skyRain ? sound_rain : sound_wind, skyParticlesPos, 20, skyParticles.emitRate/1e3);
+        playSound(skyRain ? sound_rain : sound_wind, skyParticlesPos, 20, skyParticles.emitRate/1e3, 'ambience');
         if (rand() < .1)
-            playSound(sound_wind, skyParticlesPos, 20, rand(skyParticles.emitRate/1e3));
+            playSound(sound_wind, skyParticlesPos, 20, rand(skyParticles.emitRate/1e3), 'ambience');
     }
 }
 
+// walk out from the camera over background tiles in 8 directions, walls all around means indoors
+// rooms and caves reverb by how far the walls are and the sky sounds are muffled
+function updateAudioEnvironment()
+{
+    let walls = 0, size = 0;
+    for(let i = 8; i--;)
+    {
+        const direction = vec2().setAngle(i*PI/4);
+        for(let distance = 1; distance <= audioReverbMaxSize; ++distance)
+        {
+            const pos = cameraPos.add(direction.scale(distance));
+            const wall = getTileCollisionData(pos) > 0;
+            if (wall || !getTileBackgroundData(pos) || distance == audioReverbMaxSize)
+            {
+                walls += wall;
+                size += distance/4;
+                break;
+            }
+        }
+    }
+    audioSetEnvironment(percent(walls, 8, 4), size);
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 
 let tileParallaxLayers = [];
@@ -412,6 +467,9 @@ let tileParallaxLayers = [];
 function generateParallaxLayers()
 {
     tileParallaxLayers = [];
+    if (headless)
+        return; // parallax layers are only visual
+
     for(let i=0; i<3; ++i)
     {
         const parallaxSize = vec2(600,300), startGroundLevel = rand(99,120)+i*30;
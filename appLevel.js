@@ -24,11 +24,16 @@ const tileBackgroundRenderOrder = -2e3;
 let players=[], playerLives, tileLayer, tileBackgroundLayer, totalKills;
 
 // level settings
-let levelSize, level, levelSeed, levelEnemyCount, levelWarmup;
+let gameSeed, levelSize, level, levelSeed, levelStartState, levelEnemyCount, levelWarmup;
 let levelColor, levelBackgroundColor, levelSkyColor, levelSkyHorizonColor, levelGroundColor;
 let skyParticles, skyRain, skySoundTimer = new Timer;
 let gameTimer = new Timer, levelTimer = new Timer, levelEndTimer = new Timer;
 
+// levels in play order, a name plays that Tiled map and an empty entry generates a level
+// levels past the end of the campaign are all generated
+const campaign = ['intro'];
+let customMap; // a dropped Tiled map that is played instead of the campaign
+
 let tileBackground;
 const setTileBackgroundData = (pos, data=0)=>
     pos.arrayCheck(tileCollisionSize) && (tileBackground[(pos.y|0)*tileCollisionSize.x+pos.x|0] = data);
@@ -38,54 +43,81 @@ const getTileBackgroundData = (pos)=>
 ///////////////////////////////////////////////////////////////////////////////
 // level generation
 
-const resetGame=()=>
+const resetGame=(seed=Date.now())=>
 {
+    // the same seed and input always plays out the same way
+    setRandSeed(gameSeed = seed);
     levelEndTimer.unset();
     gameTimer.set(totalKills = level = 0);
-    nextLevel(playerLives = 6);
+    playerLives = 6;
+    nextLevel();
+
+    // record the whole session so it can be saved as a replay
+    replayPlaying || replayRecord(levelStartState, getReplayState);
+}
+
+// game state compared while playing a replay to detect drift
+const getReplayState = ()=>
+({
+    level, kills:totalKills, lives:playerLives,
+    players:players.map(p=> p && [p.pos.x, p.pos.y, p.health])
+});
+
+function playReplay(replay)
+{
+    // restart from the level the replay started on
+    const header = replay.header;
+    ({gameSeed, level, playerLives, totalKills, frame, twinStickAiming=0} = header);
+    time = frame / FPS;
+    cameraPos = vec2(...header.cameraPos);
+    levelEndTimer.unset();
+    nextLevel(header.levelSeed);
+    replayPlay(replay, getReplayState);
 }
 
 function buildTerrain(size)
 {
     tileBackground = [];
     initTileCollision(size);
-    let startGroundLevel = rand(40, 60);
+    let startGroundLevel = randLevel.float(40, 60);
     let groundLevel = startGroundLevel;
-    let groundSlope = rand(.5,-.5);
+    let groundSlope = randLevel.float(.5,-.5);
     let canayonWidth = 0, backgroundDelta = 0, backgroundDeltaSlope = 0;
+    const groundHeights = [];
     for(let x=0; x < size.x; x++)
     {
         // pull slope towards start ground level
-        groundLevel += groundSlope = rand() < .05 ? rand(.5,-.5) :
+        groundLevel += groundSlope = randLevel.float() < .05 ? randLevel.float(.5,-.5) :
             groundSlope + (startGroundLevel - groundLevel)/1e3;
         
         // small jump
-        if (rand() < .04)
-            groundLevel += rand(9,-9);
+        if (randLevel.float() < .04)
+            groundLevel += randLevel.float(9,-9);
 
-        if (rand() < .03)
+        if (randLevel.float() < .03)
         {
             // big jump
-            const jumpDelta = rand(9,-9);
+            const jumpDelta = randLevel.float(9,-9);
             startGroundLevel = clamp(startGroundLevel + jumpDelta, 80, 20);
             groundLevel += jumpDelta;
-            groundSlope = rand(.5,-.5);
+            groundSlope = randLevel.float(.5,-.5);
         }
 
         --canayonWidth;
-        if (rand() < .005)
-            canayonWidth = rand(7, 2);
+        if (randLevel.float() < .005)
+            canayonWidth = randLevel.float(7, 2);
 
         backgroundDelta += backgroundDeltaSlope;
-        if (rand() < .1)
-            backgroundDelta = rand(3, -1);
-        if (rand() < .1)
+        if (randLevel.float() < .1)
+            backgroundDelta = randLevel.float(3, -1);
+        if (randLevel.float() < .1)
             backgroundDelta = 0;
-        if (rand() < .1)
-            backgroundDeltaSlope = rand(1,-1);
+        if (randLevel.float() < .1)
+            backgroundDeltaSlope = randLevel.float(1,-1);
         backgroundDelta = clamp(backgroundDelta, 3, -1)
 
         groundLevel = clamp(groundLevel, 99, 30);
+        groundHeights[x] = canayonWidth <= 0 ? Math.ceil(groundLevel) : 0;
         for(let y=0; y < size.y; y++)
         {
             const pos = vec2(x,y);
@@ -103,12 +135,43 @@ function buildTerrain(size)
         }
     }
 
+    // smooth hills with slopes where the ground steps up or down one tile
+    for(let x=2; x < size.x-2; x++)
+    {
+        const height = groundHeights[x];
+        const pos = vec2(x, height-1);
+        if (!height)
+            continue;
+
+        if (groundHeights[x-1] == height-1 && groundHeights[x+1] >= height)
+        {
+            // use a gentle slope across two tiles if the ground before is flat
+            if (groundHeights[x-2] == height-1)
+            {
+                setTileCollisionData(pos.add(vec2(-1,0)), tileType_dirt, tileShape_slopeUpLow);
+                setTileCollisionData(pos, tileType_dirt, tileShape_slopeUpHigh);
+            }
+            else
+                setTileCollisionData(pos, tileType_dirt, tileShape_slopeUp);
+        }
+        else if (groundHeights[x+1] == height-1 && groundHeights[x-1] >= height)
+        {
+            if (groundHeights[x+2] == height-1)
+            {
+                setTileCollisionData(pos.add(vec2(1,0)), tileType_dirt, tileShape_slopeDownLow);
+                setTileCollisionData(pos, tileType_dirt, tileShape_slopeDownHigh);
+            }
+            else
+                setTileCollisionData(pos, tileType_dirt, tileShape_slopeDown);
+        }
+    }
+
     // add random holes
     for(let i=levelSize.x; i--;)
     {
-        const pos = vec2(rand(levelSize.x), rand(levelSize.y-19, 19));
-        for(let x = rand(9,1)|0;--x;)
-        for(let y = rand(9,1)|0;--y;)
+        const pos = vec2(randLevel.float(levelSize.x), randLevel.float(levelSize.y-19, 19));
+        for(let x = randLevel.int(9,1);--x;)
+        for(let y = randLevel.int(9,1);--y;)
             setTileCollisionData(pos.add(vec2(x,y)), tileType_empty);
     }
 }
@@ -119,18 +182,18 @@ function spawnProps(pos)
     {
         new Prop(pos);
         const propPlaceSize = .51;
-        if (randSeeded() < .2)
+        if (randLevel.float() < .2)
         {
             // 3 triangle prop stack
             new Prop(pos.add(vec2(propPlaceSize*2,0)));
-            if (randSeeded() < .2)
+            if (randLevel.float() < .2)
                 new Prop(pos.add(vec2(propPlaceSize,propPlaceSize*2)));
         }
-        else if (randSeeded() < .2)
+        else if (randLevel.float() < .2)
         {
             // 3 column prop stack
             new Prop(pos.add(vec2(0,propPlaceSize*2)));
-            if (randSeeded() < .2)
+            if (randLevel.float() < .2)
                 new Prop(pos.add(vec2(0,propPlaceSize*4)));
         }
     }
@@ -144,18 +207,18 @@ function buildBase()
         if (!tries--)
             return 1; // count not find pos
 
-        const pos = vec2(randSeeded(levelSize.x-40,40), levelSize.y);
+        const pos = vec2(randLevel.float(levelSize.x-40,40), levelSize.y);
 
         // must not be near player start
         if (abs(checkpointPos.x-pos.x) > 30)
             raycastHit = tileCollisionRaycast(pos, vec2(pos.x, 0));
     }
 
-    const cave = rand() < .5;
-    const baseBottomCenterPos = raycastHit.int();
-    const baseSize = randSeeded(20,9)|0;
-    const baseFloors = cave? 1 : randSeeded(6,1)|0;
-    const basementFloors = randSeeded(cave?7:4, 0)|0;
+    const cave = randLevel.float() < .5;
+    const baseBottomCenterPos = raycastHit.tilePos.copy();
+    const baseSize = randLevel.int(20,9);
+    const baseFloors = cave? 1 : randLevel.int(6,1);
+    const basementFloors = randLevel.int(cave?7:4, 0);
     let floorBottomCenterPos = baseBottomCenterPos.subtract(vec2(0,basementFloors*6));
     floorBottomCenterPos.y = max(floorBottomCenterPos.y, 9); // prevent going through bottom
 
@@ -165,25 +228,25 @@ function buildBase()
     {  
         const topFloor = floor == baseFloors;
         const groundFloor = !floor;
-        const isCaveFloor = cave ? rand() < .8 | (floor == 0 && rand() < .6): 0;
-        let floorHeight = isCaveFloor ? randSeeded(9,2)|0 : topFloor? 0 : groundFloor? randSeeded(9,4)|0 : randSeeded(7,2)|0;
+        const isCaveFloor = cave ? randLevel.float() < .8 | (floor == 0 && randLevel.float() < .6): 0;
+        let floorHeight = isCaveFloor ? randLevel.int(9,2) : topFloor? 0 : groundFloor? randLevel.int(9,4) : randLevel.int(7,2);
         const floorSpace = topFloor ? 4 : max(floorHeight - 1, 0);
 
-        let backWindow = rand() < .5;
-        const windowTop = rand(4,2);
+        let backWindow = randLevel.float() < .5;
+        const windowTop = randLevel.float(4,2);
 
         for(let x=-floorWidth; x <= floorWidth; ++x)
         {
-            const isWindow = !isCaveFloor && randSeeded() < .3;
-            const hasSide = !isCaveFloor && randSeeded() < .9;
+            const isWindow = !isCaveFloor && randLevel.float() < .3;
+            const hasSide = !isCaveFloor && randLevel.float() < .9;
 
             if (cave)
                 backWindow = 0;
-            else if (rand() < .1)
+            else if (randLevel.float() < .1)
                 backWindow = !backWindow;
 
-            if (cave && rand() < .2)
-                floorHeight = clamp(floorHeight + rand(3,-3)|0, 9, 2)
+            if (cave && randLevel.float() < .2)
+                floorHeight = clamp(floorHeight + randLevel.float(3,-3)|0, 9, 2)
 
             for(let y=-1; y < floorHeight; ++y)
             {
@@ -219,11 +282,11 @@ function buildBase()
             }
         }
 
-        // add ladders to floor below
+        // add ladders or elevators to floor below
         if (!cave || !topFloor)
-        for(let ladderCount=randSeeded(2)+1|0;ladderCount--;)
+        for(let ladderCount=randLevel.float(2)+1|0;ladderCount--;)
         {
-            const x = randSeeded(floorWidth-1, -floorWidth+1)|0;
+            const x = randLevel.int(floorWidth-1, -floorWidth+1);
             const pos = floorBottomCenterPos.add(vec2(x,-2));
 
             let y=0;
@@ -238,6 +301,21 @@ function buildBase()
                 }
                 if (y && getTileCollisionData(pos) > 0 && getTileCollisionData(pos.add(vec2(0,1))) <= 0 )
                 {
+                    const canCutShaft = [-1,0,1].every((i)=> getTileCollisionData(floorBottomCenterPos.add(vec2(x+i,-1))) > 0);
+                    if (!cave && y > 2 && y <= previousFloorHeight && abs(x) < floorWidth-2 && canCutShaft && randLevel.float() < .3)
+                    {
+                        // cut a shaft in the floor for an elevator that goes down to the floor below
+                        for(let i=-1; i<=1; ++i)
+                            setTileCollisionData(floorBottomCenterPos.add(vec2(x+i,-1)), tileType_empty);
+                        const platformSize = vec2(3,.5);
+                        const topStop = floorBottomCenterPos.add(vec2(x+.5, -platformSize.y/2));
+                        const bottomStop = topStop.subtract(vec2(0,y));
+                        const elevator = new MovingPlatform([bottomStop, topStop], platformSize, .05, 1, 0, 1);
+                        const switchOffset = vec2(x > 0 ? -2.5 : 2.5, 1);
+                        new PlatformSwitch(bottomStop.add(switchOffset), elevator, 0);
+                        new PlatformSwitch(topStop.add(switchOffset), elevator, 1);
+                    }
+                    else
                     for(;y--;)
                     {
                         const pos = floorBottomCenterPos.add(vec2(x,-y-1));
@@ -249,24 +327,24 @@ function buildBase()
         }
 
         // spawn crates
-        const propCount = randSeeded(floorWidth/2)|0;
+        const propCount = randLevel.int(floorWidth/2);
         for(let i = propCount; i--;)
-            spawnProps(floorBottomCenterPos.add(vec2(randSeeded( floorWidth-2,-floorWidth+2),.5)));
+            spawnProps(floorBottomCenterPos.add(vec2(randLevel.float( floorWidth-2,-floorWidth+2),.5)));
 
         if (topFloor || floorSpace > 1)
         {
             // spawn enemies
             for(let i = propCount; i--;)
             {
-                const pos = floorBottomCenterPos.add(vec2(randSeeded( floorWidth-1,-floorWidth+1),.7));
+                const pos = floorBottomCenterPos.add(vec2(randLevel.float( floorWidth-1,-floorWidth+1),.7));
                 new Enemy(pos);
             }
         }
 
         const oldFloorWidth = floorWidth;
-        floorWidth = max(floorWidth + randSeeded(8,-8),9)|0;
+        floorWidth = max(floorWidth + randLevel.float(8,-8),9)|0;
         floorBottomCenterPos.y += floorHeight;
-        floorBottomCenterPos.x += randSeeded(oldFloorWidth - floorWidth+1)|0;
+        floorBottomCenterPos.x += randLevel.int(oldFloorWidth - floorWidth+1);
         previousFloorHeight = floorHeight;
     }
 
@@ -275,18 +353,18 @@ function buildBase()
     // spawn random enemies and props
     for(let i=20;levelEnemyCount>0&&i--;)
     {
-        const pos = vec2(floorBottomCenterPos.x + randSeeded(99, -99), levelSize.y);
+        const pos = vec2(floorBottomCenterPos.x + randLevel.float(99, -99), levelSize.y);
         raycastHit = tileCollisionRaycast(pos, vec2(pos.x, 0));
         // must not be near player start
         if (raycastHit && abs(checkpointPos.x-pos.x) > 20)
         {
-            const pos = raycastHit.add(vec2(0,2));
-            randSeeded() < .7 ? new Enemy(pos) : spawnProps(pos);
+            const pos = raycastHit.pos.add(vec2(0,1.5));
+            randLevel.float() < .7 ? new Enemy(pos) : spawnProps(pos);
         }
     }
 }
 
-function generateLevel()
+function clearLevel()
 {
     levelEndTimer.unset();
 
@@ -295,6 +373,11 @@ function generateLevel()
         o.destroy();
     engineObjects = [];
     engineCollideObjects = [];
+}
+
+function generateLevel()
+{
+    clearLevel();
 
     // randomize ground level hills
     buildTerrain(levelSize);
@@ -307,10 +390,10 @@ function generateLevel()
             return 1; // count not find pos
 
         // start on either side of level
-        checkpointPos = vec2(levelSize.x/2 + (levelSize.x/2-10-randSeeded(9))*(randSeeded()<.5?-1:1) | 0, levelSize.y);
+        checkpointPos = vec2(levelSize.x/2 + (levelSize.x/2-10-randLevel.float(9))*(randLevel.float()<.5?-1:1) | 0, levelSize.y);
         raycastHit = tileCollisionRaycast(checkpointPos, vec2(checkpointPos.x, 0));
     }
-    checkpointPos = raycastHit.add(vec2(0,1));
+    checkpointPos = raycastHit.tilePos.add(vec2(.5,1.5)); // center of tile above ground
 
     // random bases until there enough enemies
     for(let tries=99;levelEnemyCount>0;)
@@ -325,19 +408,236 @@ function generateLevel()
     // build checkpoints
     for(let x=0; x<levelSize.x-9; )
     {
-        x += rand(100,70);
+        x += randLevel.float(100,70);
         const pos = vec2(x, levelSize.y);
         raycastHit = tileCollisionRaycast(pos, vec2(pos.x, 0));
         // must not be near player start
         if (raycastHit && abs(checkpointPos.x-pos.x) > 50)
         {
             // todo prevent overhangs
-            const pos = raycastHit.add(vec2(0,1));
+            const pos = raycastHit.pos.add(vec2(0,.5));
             new Checkpoint(pos);
         }
     }
 }
 
+///////////////////////////////////////////////////////////////////////////////
+// tiled map import
+
+// get the hand made map for this level if it has one
+function getLevelMap()
+{
+    const name = campaign[level-1];
+    if (customMap || !name)
+        return customMap;
+
+    // maps are exported from tiled as javascript files so they load with the other scripts
+    const map = typeof TileMaps != 'undefined' && TileMaps[name];
+    ASSERT(map, 'missing map ' + name);
+    return map;
+}
+
+// tiled stores custom properties as a list of name and value pairs
+const getTiledProperties = (o)=>
+{
+    const properties = {};
+    for(const p of o.properties || [])
+        properties[p.name] = p.value;
+    return properties;
+}
+
+function loadTiledMap(map)
+{
+    ASSERT(!map.infinite, 'infinite maps are not supported');
+    clearLevel();
+    levelSize = vec2(map.width, map.height);
+    tileBackground = Array(levelSize.area()).fill(0);
+    initTileCollision(levelSize);
+
+    // tiles use their tileType and tileShape properties, tiles without them are dirt
+    const tileProperties = [];
+    for(const tileset of map.tilesets)
+    for(const tile of tileset.tiles || [])
+        tileProperties[tileset.firstgid + tile.id] = getTiledProperties(tile);
+
+    // tiled counts rows from the top and positions objects in pixels
+    const mapPos = (x, y)=> vec2(x/map.tilewidth, levelSize.y - y/map.tileheight);
+
+    // flatten group layers
+    const layers = [];
+    const addLayers = (list)=> list.forEach((layer)=> layer.type == 'group' ? addLayers(layer.layers) : layers.push(layer));
+    addLayers(map.layers);
+
+    // tile layers named background go behind, everything else is collision
+    for(const layer of layers)
+    {
+        if (layer.type != 'tilelayer')
+            continue;
+
+        ASSERT(!layer.encoding || layer.encoding == 'csv', 'tile layers must use csv encoding');
+        const isBackground = /background/i.test(layer.name);
+        layer.data.forEach((gid, i)=>
+        {
+            gid &= 0x1fffffff; // remove flip flags
+            if (!gid)
+                return;
+
+            const properties = tileProperties[gid] || {};
+            const tileType = properties.tileType != undefined ? properties.tileType : tileType_dirt;
+            const pos = vec2(i % layer.width + (layer.x|0), levelSize.y - 1 - (i / layer.width|0) - (layer.y|0));
+            isBackground ? setTileBackgroundData(pos, tileType) : setTileCollisionData(pos, tileType, properties.tileShape|0);
+        });
+    }
+
+    // spawn objects by their class, triggers and switches are linked up after everything exists
+    const mapObjects = [], links = [];
+    const getTargetIds = (o)=> (o.properties || []).filter((p)=> p.type == 'object').map((p)=> p.value);
+    checkpointPos = 0;
+    for(const layer of layers)
+    for(const o of layer.type == 'objectgroup' ? layer.objects : [])
+    {
+        const properties = getTiledProperties(o);
+        const size = vec2(o.width/map.tilewidth, o.height/map.tileheight);
+        const pos = mapPos(o.x, o.y).add(size.scale(.5).multiply(vec2(1, o.gid ? 1 : -1))); // tile objects are bottom left aligned
+        const type = o.type || o.class;
+        let object;
+        if (type == 'Player')
+            checkpointPos = pos;
+        else if (type == 'Checkpoint')
+            object = new Checkpoint(pos);
+        else if (type == 'Enemy')
+            object = new Enemy(pos, properties.type, properties.big);
+        else if (type == 'Prop')
+            object = new Prop(pos, properties.type, properties.big);
+        else if (type == 'Platform')
+        {
+            const path = o.polyline.map((p)=> mapPos(o.x + p.x, o.y + p.y));
+            const platformSize = vec2(properties.width || 3, .5);
+            object = new MovingPlatform(path, platformSize, properties.speed, properties.waitTime, properties.loop, properties.triggered);
+        }
+        else if (type == 'Trigger')
+            links.push([object = new Trigger(pos, size, [], properties.stop, properties.once), getTargetIds(o)]);
+        else if (type == 'Switch')
+            links.push([object = new PlatformSwitch(pos, 0, properties.stop), getTargetIds(o)]);
+        else
+            ASSERT(!type, 'unknown map object ' + type);
+
+        mapObjects[o.id] = object;
+    }
+    ASSERT(checkpointPos, 'map needs a Player object for the start position');
+
+    // link triggers and switches to their targets now that everything exists
+    for(const [object, targetIds] of links)
+    {
+        const targets = targetIds.map((id)=> mapObjects[id]).filter((o)=> o && o.trigger);
+        if (object instanceof Trigger)
+            object.targets = targets;
+        else
+        {
+            object.platform = targets[0];
+            ASSERT(object.platform, 'switch needs a platform');
+        }
+    }
+}
+
+// tiles used when saving maps, each tile id is a tile type and shape
+const tiledMapTiles = 
+[
+    [tileType_solid], [tileType_dirt], [tileType_base], [tileType_pipeH], [tileType_pipeV], 
+    [tileType_glass], [tileType_baseBack], [tileType_window], [tileType_ladder],
+    [tileType_pipeH, tileShape_oneWay],
+    [tileType_dirt, tileShape_slopeUp], [tileType_dirt, tileShape_slopeDown], 
+    [tileType_dirt, tileShape_slopeUpLow], [tileType_dirt, tileShape_slopeUpHigh],
+    [tileType_dirt, tileShape_slopeDownHigh], [tileType_dirt, tileShape_slopeDownLow],
+];
+
+// save the current level as a tiled json map that loadTiledMap can load
+function makeTiledMap()
+{
+    const tileSize = defaultTileSize;
+    const findTile = (tileType, shape=0)=> tiledMapTiles.findIndex((t)=> t[0] == tileType && (t[1]|0) == shape);
+    const getGid = (tileType, shape)=>
+    {
+        // use the plain tile if there is none with this shape
+        const id = findTile(tileType, shape);
+        return tileType && 1 + (id < 0 ? findTile(tileType) : id);
+    }
+
+    // tiled counts rows from the top
+    const collisionData = [], backgroundData = [];
+    for(let y=levelSize.y;y--;)
+    for(let x=0; x<levelSize.x; ++x)
+    {
+        const pos = vec2(x,y);
+        collisionData.push(getGid(getTileCollisionData(pos), getTileCollisionShape(pos)));
+        backgroundData.push(getGid(getTileBackgroundData(pos)));
+    }
+    const makeTileLayer = (id, name, data)=> 
+        ({id, name, type:'tilelayer', data, width:levelSize.x, height:levelSize.y, x:0, y:0, opacity:1, visible:true});
+
+    // objects are points in pixels except triggers which are areas
+    const objects = [], ids = new Map;
+    const mapX = (x)=> x*tileSize.x, mapY = (y)=> (levelSize.y - y)*tileSize.y;
+    const makeProperty = (name, value)=> 
+    ({
+        name, value:value instanceof EngineObject ? ids.get(value) : value,
+        type:value instanceof EngineObject ? 'object' : typeof value == 'boolean' ? 'bool' : value == (value|0) ? 'int' : 'float'
+    });
+    const addObject = (o, type, properties={}, pos=o.pos)=>
+    {
+        const object = {id:ids.get(o), name:'', type, x:mapX(pos.x), y:mapY(pos.y), width:0, height:0, point:true, rotation:0, visible:true};
+        const propertyList = Object.keys(properties).filter((name)=> properties[name] != undefined).map((name)=> makeProperty(name, properties[name]));
+        propertyList.length && (object.properties = propertyList);
+        objects.push(object);
+        return object;
+    }
+
+    const levelObjects = engineObjects.filter((o)=> !o.destroyed && !(o.isCharacter && o.isDead()));
+    levelObjects.forEach((o, i)=> ids.set(o, i+1));
+    addObject(activeCheckpoint, 'Player', {}, checkpointPos);
+    for(const o of levelObjects)
+    {
+        if (o instanceof Enemy)
+            addObject(o, 'Enemy', {type:o.type, big:!!o.isBig});
+        else if (o instanceof Prop)
+            addObject(o, 'Prop', {type:o.type, big:!!o.isBig}, o.isBig ? o.pos.subtract(vec2(0,.5)) : o.pos); // big rocks are raised when made
+        else if (o instanceof Checkpoint && o != activeCheckpoint)
+            addObject(o, 'Checkpoint');
+        else if (o instanceof MovingPlatform)
+        {
+            const object = addObject(o, 'Platform', {width:o.size.x, speed:o.speed, waitTime:o.waitTime, loop:!!o.loop, triggered:!!o.triggered}, o.path[0]);
+            object.polyline = o.path.map((p)=> ({x:mapX(p.x) - object.x, y:mapY(p.y) - object.y}));
+            delete object.point;
+        }
+        else if (o instanceof PlatformSwitch)
+            addObject(o, 'Switch', {platform:o.platform, stop:o.pathIndex});
+        else if (o instanceof Trigger)
+        {
+            const properties = {stop:o.pathIndex, once:o.once ? true : undefined};
+            o.targets.forEach((target, i)=> properties['target' + i] = target);
+            const object = addObject(o, 'Trigger', properties, o.pos.add(o.size.scale(.5).multiply(vec2(-1,1))));
+            object.width = o.size.x*tileSize.x;
+            object.height = o.size.y*tileSize.y;
+            delete object.point;
+        }
+    }
+
+    const tiles = tiledMapTiles.map(([tileType, shape], id)=> 
+        ({id, properties:[makeProperty('tileType', tileType), makeProperty('tileShape', shape|0)]}));
+    return {
+        type:'map', version:'1.10', orientation:'orthogonal', renderorder:'right-down', infinite:false,
+        width:levelSize.x, height:levelSize.y, tilewidth:tileSize.x, tileheight:tileSize.y,
+        tilesets:[{firstgid:1, name:'tiles', image:'../finrip.png', imagewidth:128, imageheight:64, columns:8, tilecount:32, tilewidth:tileSize.x, tileheight:tileSize.y, margin:0, spacing:0, tiles}],
+        layers:
+        [
+            makeTileLayer(1, 'background', backgroundData),
+            makeTileLayer(2, 'collision', collisionData),
+            {id:3, name:'objects', type:'objectgroup', draworder:'topdown', objects, opacity:1, visible:true, x:0, y:0},
+        ],
+        nextlayerid:4, nextobjectid:levelObjects.length + 2,
+    };
+}
+
 const groundTileStart = 8;
 
 function makeTileLayers(level_)
@@ -354,93 +654,110 @@ function makeTileLayers(level_)
     for(let y=levelSize.y;y--;)
     {
         const pos = vec2(x,y);
-        let tileType = getTileCollisionData(pos);
-        if (tileType)
-        {
-            // todo pick tile, direction etc based on neighbors tile type
-            let direction = rand(4)|0
-            let mirror = rand(2)|0;
-            let color;
-
-            let tileIndex = groundTileStart;
-            if (tileType == tileType_dirt)
-            {
-                tileIndex = groundTileStart+2 + rand()**3*2|0;
-                color = levelColor.mutate(.03);
-            }
-            else if (tileType == tileType_pipeH)
-            {
-                tileIndex = groundTileStart+5;
-                direction = 1;
-            }
-            else if (tileType == tileType_pipeV)
-            {
-                tileIndex = groundTileStart+5;
-                direction = 0;
-            }
-            else if (tileType == tileType_glass)
-            {
-                tileIndex = groundTileStart+5;
-                direction = 0;
-                color = new Color(0,1,1,.5);
-            }
-            else if (tileType == tileType_base)
-                tileIndex = groundTileStart+4;
-            else if (tileType == tileType_ladder)
-            {
-                tileIndex = groundTileStart+7;
-                direction = mirror = 0;
-            }
-            tileLayer.setData(pos, new TileLayerData(tileIndex, direction, mirror, color));
-        }
-        
-        tileType = getTileBackgroundData(pos);
-        if (tileType)
-        {
-            // todo pick tile, direction etc based on neighbors tile type
-            const direction = rand(4)|0
-            const mirror = rand(2)|0;
-            let color = new Color();
-
-            let tileIndex = groundTileStart;
-            if (tileType == tileType_dirt)
-            {
-                tileIndex = groundTileStart +2 + rand()**3*2|0;
-                color = levelColor.mutate();
-            }
-            else if (tileType == tileType_base)
-            {
-                tileIndex = groundTileStart+6;
-                color = color.scale(rand(1,.7),1)
-            }
-            else if (tileType == tileType_baseBack)
-            {
-                tileIndex = groundTileStart+6;
-                color = color.scale(rand(.5,.3),1).mutate();
-            }
-            else if (tileType == tileType_window)
-            {
-                tileIndex = 0;
-                color = new Color(0,1,1,.5);
-            }
-            tileBackgroundLayer.setData(pos, new TileLayerData(tileIndex, direction, mirror, color.scale(.4,1)));
-        }
+        getTileCollisionData(pos) && tileLayer.setData(pos, makeTileLayerData(pos));
+        getTileBackgroundData(pos) && tileBackgroundLayer.setData(pos, makeBackgroundTileLayerData(pos));
     }
     tileLayer.redraw();
     tileBackgroundLayer.redraw();
 }
 
-function applyArtToLevel()
+// pick how a foreground tile looks from its type
+function makeTileLayerData(pos)
+{
+    const tileType = getTileCollisionData(pos);
+    if (!tileType)
+        return new TileLayerData;
+
+    // todo pick tile, direction etc based on neighbors tile type
+    let direction = rand(4)|0
+    let mirror = rand(2)|0;
+    let color;
+
+    let tileIndex = groundTileStart;
+    if (tileType == tileType_dirt)
+    {
+        tileIndex = groundTileStart+2 + rand()**3*2|0;
+        color = levelColor.mutate(.03);
+    }
+    else if (tileType == tileType_pipeH)
+    {
+        tileIndex = groundTileStart+5;
+        direction = 1;
+    }
+    else if (tileType == tileType_pipeV)
+    {
+        tileIndex = groundTileStart+5;
+        direction = 0;
+    }
+    else if (tileType == tileType_glass)
+    {
+        tileIndex = groundTileStart+5;
+        direction = 0;
+        color = new Color(0,1,1,.5);
+    }
+    else if (tileType == tileType_base)
+        tileIndex = groundTileStart+4;
+    else if (tileType == tileType_ladder)
+    {
+        tileIndex = groundTileStart+7;
+        direction = mirror = 0;
+    }
+    if (tileShapeSlopeHeights[getTileCollisionShape(pos)])
+        tileIndex = -1; // slopes are drawn by decorateTile
+    return new TileLayerData(tileIndex, direction, mirror, color);
+}
+
+// pick how a background tile looks from its type
+function makeBackgroundTileLayerData(pos)
+{
+    const tileType = getTileBackgroundData(pos);
+    if (!tileType)
+        return new TileLayerData;
+
+    // todo pick tile, direction etc based on neighbors tile type
+    const direction = rand(4)|0
+    const mirror = rand(2)|0;
+    let color = new Color();
+
+    let tileIndex = groundTileStart;
+    if (tileType == tileType_dirt)
+    {
+        tileIndex = groundTileStart +2 + rand()**3*2|0;
+        color = levelColor.mutate();
+    }
+    else if (tileType == tileType_base)
+    {
+        tileIndex = groundTileStart+6;
+        color = color.scale(rand(1,.7),1)
+    }
+    else if (tileType == tileType_baseBack)
+    {
+        tileIndex = groundTileStart+6;
+        color = color.scale(rand(.5,.3),1).mutate();
+    }
+    else if (tileType == tileType_window)
+    {
+        tileIndex = 0;
+        color = new Color(0,1,1,.5);
+    }
+    return new TileLayerData(tileIndex, direction, mirror, color.scale(.4,1));
+}
+
+// apply decoration to level tiles
+function decorateLevelTiles()
 {
-    makeTileLayers();
-    
-    // apply decoration to level tiles
     for(let x=levelSize.x;x--;)
     for(let y=levelSize.y;--y;)
     {
         decorateBackgroundTile(vec2(x,y));
         decorateTile(vec2(x,y));
     }
+}
+
+function applyArtToLevel()
+{
+    makeTileLayers();
+    decorateLevelTiles();
 
     generateParallaxLayers();
 
@@ -450,59 +767,66 @@ function applyArtToLevel()
         if (skyRain = rand() < .5)
         {
             // rain
-            skyParticles = new ParticleEmitter(
-                vec2(), 3, 0, 0, .3, // pos, emitSize, emitTime, emitRate, emiteCone
-                0, undefined,   // tileIndex, tileSize
-                new Color(.8,1,1,.6), new Color(.5,.5,1,.2), // colorStartA, colorStartB
-                new Color(.8,1,1,.6), new Color(.5,.5,1,.2), // colorEndA, colorEndB
-                2, .1, .1, .2, 0,  // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-                .99, 1, .5, PI, .2,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-                .5, 1              // randomness, collide, additive, randomColorLinear, renderOrder
-            );
-            skyParticles.elasticity = .2;
-            skyParticles.trailScale = 2;
+            skyParticles = new ParticleEmitter(vec2(), particlePresets.rain);
         }
         else
         {
             // snow
-            skyParticles = new ParticleEmitter(
-                vec2(), 3, 0, 0, .5, // pos, emitSize, emitTime, emitRate, emiteCone
-                0, undefined,   // tileIndex, tileSize
-                new Color(1,1,1,.8), new Color(1,1,1,.2), // colorStartA, colorStartB
-                new Color(1,1,1,.8), new Color(1,1,1,.2), // colorEndA, colorEndB
-                3, .1, .1, .3, .01,  // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-                .98, 1, .2, PI, .2,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-                .5, 1              // randomness, collide, additive, randomColorLinear, renderOrder
-            );
+            skyParticles = new ParticleEmitter(vec2(), particlePresets.snow);
         }
         skyParticles.emitRate = precipitationEnable && rand()<.5 ? rand(500) : 0;
         skyParticles.angle = PI+rand(.5,-.5);
     }
 }
 
-function nextLevel()
+// build the level and its art, the same level and seed always builds the same thing
+function buildLevel()
 {
-    playerLives += 4; // three for beating a level plus 1 for respawning
-    levelEnemyCount = 15 + min(level * 30, 300);
-    ++level;
-    levelSeed = randSeed = rand(1e9)|0;
+    setRandSeed(levelSeed);
+    levelEnemyCount = 15 + min((level-1) * 30, 300);
     levelSize = vec2(min(level*99,400),200);
     levelColor = randColor(new Color(.2,.2,.2), new Color(.8,.8,.8));
     levelSkyColor = randColor(new Color(.5,.5,.5), new Color(.9,.9,.9));
     levelSkyHorizonColor = levelSkyColor.subtract(new Color(.05,.05,.05)).mutate(.3).clamp();
     levelGroundColor = levelColor.mutate().add(new Color(.3,.3,.3)).clamp();
 
-    // keep trying until a valid level is generated
-    for(;generateLevel(););
+    // later levels are darker, caves and base interiors are darker than the surface
+    lightAmbient = new Color().lerp(levelSkyColor, .3).scale(1 - min(level-1, 4)*.08, 1);
+    lightAmbientInside = lightAmbient.scale(.4, 1);
+
+    // each level has its own music
+    musicPlayPlaylist(getLevelPlaylist());
+
+    // grade the frame toward the level palette
+    const levelColorMax = max(max(levelColor.r, levelColor.g), levelColor.b);
+    postColorGrade = new Color().lerp(levelColor.scale(1/levelColorMax, 1), .2);
+
+    // load the hand made map or keep trying until a valid level is generated
+    const map = getLevelMap();
+    if (map)
+        loadTiledMap(map);
+    else
+        for(;generateLevel(););
 
-    // warm up level
     levelWarmup = 1;
 
     // objects that effect the level must be added here
-    const firstCheckpoint = new Checkpoint(checkpointPos).setActive();
+    new Checkpoint(checkpointPos).setActive();
 
     applyArtToLevel();
+}
+
+function nextLevel(seed = randLevel.int(1e9))
+{
+    // everything needed to restart exactly from this level
+    levelStartState = {gameSeed, level, levelSeed:seed, playerLives, totalKills, frame, cameraPos:[cameraPos.x, cameraPos.y], twinStickAiming};
 
+    playerLives += 4; // three for beating a level plus 1 for respawning
+    ++level;
+    levelSeed = seed;
+    buildLevel();
+
+    // warm up level
     const warmUpTime = 2;
     for(let i=warmUpTime * FPS; i--;)
     {
@@ -514,7 +838,7 @@ function nextLevel()
     // destroy any objects that are stuck in collision
     forEachObject(0, 0, (o)=>
     {
-        if (o.isGameObject && o != firstCheckpoint)
+        if (o.isGameObject)
         {
             const checkBackground = o.isCheckpoint;
             (checkBackground ? getTileBackgroundData(o.pos) > 0 : tileCollisionTest(o.pos,o.size))  && o.destroy();
@@ -528,5 +852,124 @@ function nextLevel()
     // spawn player
     players = [];
     new Player(checkpointPos);
+
+    // intro pans down from a wide view above the start
+    cameraPos = checkpointPos.add(vec2(0,10));
+    cameraScale = defaultCameraScale/2;
+    cameraLookAhead = vec2();
+    cameraPanPoints = [];
+    cameraZoom();
+    cameraPan(checkpointPos, 2, defaultCameraScale);
     //new Enemy(checkpointPos.add(vec2(3))); // test enemy
-}
\ No newline at end of file
+
+    // online clients start the new level from the host
+    netSendState();
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// save and load
+
+const saveVersion = 6;
+registerSaveClass(GameObject, Prop, Checkpoint, MovingPlatform, PlatformSwitch, Trigger, Grenade, Weapon, Bullet, Character, Enemy, Player, TileCascadeDestroy);
+registerSaveFunction(persistentParticleDestroyCallback);
+
+// tile layers and sky are rebuilt from the level seed, particles are short lived and not saved
+const isSavedObject = (o)=> !o.destroyed && !(o instanceof TileLayer) && !(o instanceof Particle) && o != skyParticles;
+
+const getGameState = ()=>
+({
+    saveVersion, gameSeed, level, levelSeed, playerLives, totalKills, frame, cameraPos,
+    cameraScale, cameraLookAhead, cameraTargetScale, cameraPanPoints,
+    players, activeCheckpoint, checkpointPos, checkpointTimer, gameTimer, levelTimer, levelEndTimer,
+    randSeeds: [randLevel, randAI, randCombat, randEffects].map((r)=> r.seed),
+    tileCollision: runLengthEncode(tileCollision),
+    tileCollisionShapes: runLengthEncode(tileCollisionShapes),
+    tileBackground: runLengthEncode(tileBackground),
+    objects: engineObjects.filter(isSavedObject),
+    collideObjects: engineCollideObjects.filter(isSavedObject),
+});
+
+function setGameState(state)
+{
+    ASSERT(state.saveVersion == saveVersion);
+
+    // a replay can not start from a loaded game
+    replayPlaying && replayStopPlayback();
+    replayStopRecording();
+
+    // rebuild the level and its art from the seed
+    ({gameSeed, level, levelSeed, playerLives, totalKills} = state);
+    buildLevel();
+    levelWarmup = 0;
+
+    // replace the generated objects with the saved ones
+    const levelArt = engineObjects.filter((o)=> !isSavedObject(o) && !o.destroyed);
+    for(const o of engineObjects)
+        levelArt.includes(o) || o.destroy();
+    engineObjects = levelArt.concat(state.objects);
+    engineCollideObjects = state.collideObjects;
+
+    // apply tiles destroyed since the level was built, or painted in the editor
+    const savedBackground = runLengthDecode(state.tileBackground);
+    const savedCollision = runLengthDecode(state.tileCollision);
+    const savedShapes = runLengthDecode(state.tileCollisionShapes);
+    const destroyedTiles = [];
+    let redrawTiles;
+    savedCollision.forEach((data, i)=>
+    {
+        const pos = vec2(i % tileCollisionSize.x, i / tileCollisionSize.x|0);
+        if (savedBackground[i] != tileBackground[i])
+        {
+            setTileBackgroundData(pos, savedBackground[i]);
+            tileBackgroundLayer.setData(pos, makeBackgroundTileLayerData(pos));
+            redrawTiles = 1;
+        }
+
+        if (data == tileCollision[i] && savedShapes[i] == tileCollisionShapes[i])
+            return;
+
+        setTileCollisionData(pos, data, savedShapes[i]);
+        if (data)
+        {
+            tileLayer.setData(pos, makeTileLayerData(pos));
+            redrawTiles = 1;
+        }
+        else
+            destroyedTiles.push(pos);
+    });
+    if (redrawTiles)
+    {
+        // painted tiles need the whole level redrawn
+        for(const pos of destroyedTiles)
+            tileLayer.setData(pos, new TileLayerData);
+        tileLayer.redraw();
+        tileBackgroundLayer.redraw();
+        decorateLevelTiles();
+    }
+    else
+    for(const pos of destroyedTiles)
+    {
+        tileLayer.setData(pos, new TileLayerData, 1);
+        for(let i=-1;i<=1;++i)
+        for(let j=-1;j<=1;++j)
+            decorateTile(pos.add(vec2(i,j)));
+    }
+
+    // restore everything else
+    ({players, activeCheckpoint, checkpointPos, checkpointTimer, gameTimer, levelTimer, levelEndTimer, cameraPos, frame} = state);
+    ({cameraScale, cameraLookAhead, cameraTargetScale, cameraPanPoints} = state);
+    time = frame / FPS;
+    [randLevel, randAI, randCombat, randEffects].forEach((r, i)=> r.seed = state.randSeeds[i]);
+    netSendState();
+}
+
+const saveSlotName = (slot)=> 'spaceHuggersSave' + slot;
+const saveGame = (slot)=> saveWriteSlot(saveSlotName(slot), getGameState());
+function loadGame(slot)
+{
+    const state = saveReadSlot(saveSlotName(slot));
+    state && setGameState(state);
+    return state;
+}
+const exportGame = ()=> saveExport(getGameState(), 'spaceHuggersSave.json');
+const importGame = (json)=> setGameState(saveDecode(json));
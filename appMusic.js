@@ -0,0 +1,67 @@
+/*
+    Javascript Space Game
+    By Frank Force 2021
+
+    Music
+    - Songs are built from a chord progression and rendered with zzfxm
+    - Each song has a bass and pad layer, a drum layer and a lead layer
+    - Drums fade in when enemies start fighting players and the lead joins as more of them do
+    - Each level has a playlist that crossfades from song to song
+*/
+
+'use strict';
+
+const musicInstruments =
+[
+    [.6,0,55,.01,.15,.1,2,,,,,,,,,,,.5,.05],     // 0 bass
+    [.2,0,220,.3,1,1,0,,,,,,.25,,,,,.8,,.3],     // 1 pad
+    [1,0,150,,.02,.1,0,1,-2],                    // 2 kick
+    [.15,0,2e3,,,.04,4,,,,,,,3],                 // 3 hat
+    [.4,0,200,,.02,.12,4,,,,,,,2],               // 4 snare
+    [.25,0,440,.01,.08,.15,1,,,,,,,,,,.06],      // 5 lead
+];
+
+// one bar of 16th notes for an instrument, x plays the note, a number plays a tone of the chord
+const musicBar = (instrument, pan, rhythm, note)=>
+    [instrument, pan, ...[...rhythm].map((c, i)=> c == '.' ? 0 : note(c, i))];
+
+// chords are [root, third] in semitones from A, the arpeggio picks chord tones for the lead
+function makeSong(chords, BPM, arpeggio)
+{
+    const patterns = chords.map(([root, third])=>
+    {
+        const tones = [0, third, 7, 12];
+        return [
+            musicBar(0,  0, 'x..x..x.x..x..x.', ()=> 12 + root),
+            musicBar(1, -.5, 'x.......x.......', ()=> 24 + root),
+            musicBar(1, .5, 'x.......x.......', ()=> 24 + root + third),
+            musicBar(2,  0, 'x...x...x...x...', ()=> 12),
+            musicBar(3, .3, '..x...x...x...xx', (c, i)=> 12 + (i%4 ? .5 : 0)),
+            musicBar(4,  0, '....x.......x...', ()=> 12),
+            musicBar(5, -.2, arpeggio, (c)=> 12 + root + tones[c]),
+        ];
+    });
+
+    // play the progression twice, bass and pads always play and each other layer fades in with intensity
+    return musicMakeTrack([musicInstruments, patterns, [...chords.keys(), ...chords.keys()], BPM], [[0,1,2], [3,4,5], [6]]);
+}
+
+const musicTracks =
+[
+    makeSong([[0,3], [-4,4], [-2,4], [-5,3]], 100, '0123.21.0123.21.'),
+    makeSong([[5,3], [5,3], [1,4], [3,4]],    120, '01230123.3210.21'),
+    makeSong([[-2,3], [-6,4], [-9,4], [-4,4]], 132, '0.1.2.3.3.2.1.0.'),
+];
+
+// which tracks each level plays in order, levels past the end start over
+const levelPlaylists = [[0, 1], [1, 2], [2, 0]];
+const getLevelPlaylist = ()=> levelPlaylists[(level-1) % levelPlaylists.length].map((i)=> musicTracks[i]);
+
+// the more enemies are fighting players the more layers play
+function updateMusicIntensity()
+{
+    let fighting = 0;
+    for(const o of engineCollideObjects)
+        o instanceof Enemy && !o.isDead() && o.sawPlayerTimer.isSet() && o.sawPlayerTimer.get() < 5 && ++fighting;
+    musicSetIntensity(fighting/4);
+}
@@ -0,0 +1,133 @@
+/*
+    Javascript Space Game
+    By Frank Force 2021
+
+    Online Co-op
+    - Open the game with ?room=name to play online, the first to open a room hosts it
+    - Add &server=ws://address:port to use a relay on another machine, `node server.js` runs one
+    - The host runs the game, clients send their controls and show what the host sends
+    - Players, enemies and props are sent in snapshots and interpolated on clients
+    - Explosions and destroyed tiles are sent as events
+    - The whole game is sent when a client joins and when a level starts, the level is rebuilt from its seed
+    - Remote players join like local gamepads, by pressing jump or throw
+*/
+
+'use strict';
+
+const netDefaultPort = 8080;
+let netNextId = 0;
+
+// clients show the host's game instead of running their own
+const isNetClient = ()=> netConnected && !netIsHost;
+
+// objects kept in sync, clients run everything else themselves
+const isNetObject = (o)=> !o.destroyed && (o.isCharacter || o instanceof Prop);
+
+const netRound = (v)=> Math.round(v*1e3)/1e3;
+
+///////////////////////////////////////////////////////////////////////////////
+
+function netInit()
+{
+    const params = new URLSearchParams(location.search);
+    const room = params.get('room');
+    room && netConnect(params.get('server') || 'ws://' + (location.hostname || 'localhost') + ':' + netDefaultPort, room,
+    {
+        getState: ()=> (netAssignIds(), saveEncode(getGameState())),
+        getSnapshot: netGetSnapshot,
+        setState: netSetState,
+        readInput: netReadInput,
+        onEvent: ([type, x, y, value])=> type == 'explosion' ? explosion(vec2(x, y), value) : destroyTile(vec2(x, y), value),
+    });
+}
+
+// give synced objects ids that match on every machine
+function netAssignIds()
+{
+    const objects = engineObjects.filter(isNetObject);
+    for(const o of objects)
+        netNextId = max(netNextId, o.netId || 0); // ids may come from a loaded save
+    for(const o of objects)
+        o.netId || (o.netId = ++netNextId);
+    return objects;
+}
+
+// each object is id, how to spawn it, position, angle, mirror, health, animation, flags and where characters aim
+const netGetSnapshot = ()=>
+({
+    lives:playerLives, kills:totalKills, intensity:musicIntensity, objects:netAssignIds().map((o)=>
+    [
+        o.netId, o.isPlayer ? ['p', o.playerIndex] : o.isCharacter ? ['e', o.type, o.sizeScale] : ['r', o.type],
+        netRound(o.pos.x), netRound(o.pos.y), netRound(o.angle), o.mirror, netRound(o.health), o.animation.name,
+        (o.weapon && o.weapon.triggerIsDown ? 1 : 0) | (o.burnTimer.isSet() ? 2 : 0),
+        ...(o.aimDirection ? [netRound(o.aimDirection.x), netRound(o.aimDirection.y)] : [])
+    ])
+});
+
+function netSetState(state)
+{
+    setGameState(saveDecode(state));
+    for(const o of engineObjects)
+        o.netId && (o.netRemote = 1);
+}
+
+// controls are sent as a gamepad using the default buttons for jump, throw, shoot and dodge
+// aiming is the right stick, the mouse is aimed from where this client's player is shown
+function netReadInput()
+{
+    const buttons = actionIsDown('jump') | actionIsDown('throw')<<1 | actionIsDown('shoot')<<2 | actionIsDown('dodge')<<3;
+    const move = actionMove(), player = players[netGamepad];
+    const aim = player ? getAimInput(0, player.pos, 1).clampLength() : vec2();
+    return [buttons, move.x, move.y, netRound(aim.x), netRound(aim.y)];
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+// move synced objects to where the host had them, called each update on clients
+function netUpdateClient()
+{
+    const snapshots = netGetSnapshots();
+    if (!snapshots)
+        return;
+
+    const [from, to, p] = snapshots;
+    ({lives:playerLives, kills:totalKills} = to.snapshot);
+    musicSetIntensity(to.snapshot.intensity);
+    const objects = new Map(engineObjects.filter((o)=> o.netId && !o.destroyed).map((o)=> [o.netId, o]));
+    const fromObjects = new Map(from.snapshot.objects.map((entry)=> [entry[0], entry]));
+    for(const [id, spawn, x, y, angle, mirror, health, animation, flags, aimX, aimY] of to.snapshot.objects)
+    {
+        const o = objects.get(id) || netSpawn(id, spawn, vec2(x, y));
+        objects.delete(id);
+
+        // interpolate from the older snapshot
+        const [,, fromX=x, fromY=y, fromAngle=angle] = fromObjects.get(id) || [];
+        o.pos = vec2(lerp(p, x, fromX), lerp(p, y, fromY));
+        o.angle = lerp(p, angle, fromAngle);
+        o.mirror = mirror;
+
+        // flash when damaged and die when the host says so
+        health < o.health && o.damageTimer.set();
+        health ? o.health = health : o.isDead() || o.kill();
+
+        o.animation.play(animation);
+        o.animation.update();
+        o.weapon && (o.weapon.triggerIsDown = flags & 1);
+        o.aimDirection && (o.aimDirection = vec2(aimX, aimY));
+        flags & 2 ? o.fireEmitter || o.addChild(o.fireEmitter = makeFire()) : o.fireEmitter && o.extinguish();
+    }
+
+    // anything the host no longer has is gone
+    for(const o of objects.values())
+        o.destroy();
+}
+
+function netSpawn(id, [kind, type, sizeScale], pos)
+{
+    const o = kind == 'p' ? new Player(pos, type) : kind == 'e' ? new Enemy(pos, type) : new Prop(pos, type);
+    if (sizeScale)
+        o.size = vec2(.6,.95).scale(o.sizeScale = sizeScale);
+    o.netId = id;
+    o.netRemote = 1;
+    return o;
+}
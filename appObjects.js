@@ -23,7 +23,7 @@ class GameObject extends EngineObject
         this.additiveColor = new Color(0,0,0,0);
     }
 
-    inUpdateWindow() { return levelWarmup || isOverlapping(this.pos, this.size, cameraPos, updateWindowSize); }
+    inUpdateWindow() { return levelWarmup || isInUpdateWindow(this.pos, this.size); }
 
     update()
     {
@@ -59,7 +59,7 @@ class GameObject extends EngineObject
                     if (this.fireEmitter)
                         this.fireEmitter.emitRate = 0;
                 }
-                else if (rand() < .01)
+                else if (randCombat.float() < .01)
                 {
                     // random chance to spread fire
                     const spreadRadius = 2;
@@ -77,6 +77,7 @@ class GameObject extends EngineObject
  
     render()
     {
+        this.animation && (this.tileIndex = this.animation.getFrame());
         drawTile(this.pos, this.size, this.tileIndex, this.tileSize, this.color.scale(this.burnColorPercent(),1), this.angle, this.mirror, this.additiveColor);
     }
     
@@ -84,7 +85,7 @@ class GameObject extends EngineObject
 
     burn(instant)
     {
-        if (!this.canBurn || this.burnTimer.isSet() || this.extinguishTimer.active())
+        if (!this.canBurn || this.netRemote || this.burnTimer.isSet() || this.extinguishTimer.active())
             return;
 
         if (godMode && this.isPlayer)
@@ -99,12 +100,12 @@ class GameObject extends EngineObject
 
         if (instant)
         {
-            this.burnTimer.set(this.burnTime*rand(1.5, 1));
+            this.burnTimer.set(this.burnTime*randCombat.float(1.5, 1));
             this.fireEmitter = makeFire();
             this.addChild(this.fireEmitter);
         }
         else
-            this.burnDelayTimer.isSet() || this.burnDelayTimer.set(this.burnDelay*rand(1.5, 1));
+            this.burnDelayTimer.isSet() || this.burnDelayTimer.set(this.burnDelay*randCombat.float(1.5, 1));
     }
 
     extinguish()
@@ -134,8 +135,8 @@ class GameObject extends EngineObject
     damage(damage, damagingObject)
     {
         ASSERT(damage >= 0);
-        if (this.isDead())
-            return 0;
+        if (this.isDead() || this.netRemote)
+            return 0; // the network host decides damage for objects it controls
         
         // set damage timer;
         this.damageTimer.set();
@@ -182,15 +183,23 @@ const propType_rock                 = 7;
 const propType_rock_lava            = 8;
 const propType_count                = 9;
 
+// props have a clip for each shape
+const propAnimations =
+{
+    crate:  {frames:[16]},
+    barrel: {frames:[17]},
+    rock:   {frames:[18]},
+};
+
 class Prop extends GameObject 
 {
-    constructor(pos, typeOverride) 
+    constructor(pos, typeOverride, bigOverride) 
     { 
         super(pos);
 
-        const type = this.type = (typeOverride != undefined ? typeOverride : rand()**2*propType_count|0);
+        const type = this.type = (typeOverride != undefined ? typeOverride : randLevel.float()**2*propType_count|0);
         let health = 5;
-        this.tileIndex = 16;
+        this.animation = new Animation(this, propAnimations, 'crate');
         this.explosionSize = 0;
         if (this.type == propType_crate_wood)
         {
@@ -211,13 +220,13 @@ class Prop extends GameObject
         }
         else if (this.type == propType_barrel_metal)
         {
-            this.tileIndex = 17;
+            this.animation.play('barrel');
             this.color = new Color(.9,.9,1);
             health = 10;
         }
         else if (this.type == propType_barrel_explosive)
         {
-            this.tileIndex = 17;
+            this.animation.play('barrel');
             this.color = new Color(.2,.8,.2);
             this.canBurn = 1;
             this.explosionSize = 2;
@@ -225,27 +234,27 @@ class Prop extends GameObject
         }
         else if (this.type == propType_barrel_highExplosive)
         {
-            this.tileIndex = 17;
+            this.animation.play('barrel');
             this.color = new Color(1,.1,.1);
             this.canBurn = 1;
             this.explosionSize = 3;
             this.burnTimeDelay = 0;
-            this.burnTime = rand(.5,.1);
+            this.burnTime = randLevel.float(.5,.1);
             health = 1e3;
         }
         else if (this.type == propType_barrel_water)
         {
-            this.tileIndex = 17;
+            this.animation.play('barrel');
             this.color = new Color(0,.6,1);
             health = .01;
         }
         else if (this.type == propType_rock || this.type == propType_rock_lava)
         {
-            this.tileIndex = 18;
+            this.animation.play('rock');
             this.color = new Color(.8,.8,.8).mutate(.2);
             health = 30;
             this.mass *= 4;
-            if (rand() < .2)
+            if (this.isBig = bigOverride != undefined ? bigOverride : randLevel.float() < .2)
             {
                 health = 99;
                 this.mass *= 4;
@@ -263,11 +272,11 @@ class Prop extends GameObject
         }
 
         // randomly angle and flip axis (90 degree rotation)
-        this.angle = (rand(4)|0)*PI/2;
-        if (rand() < .5)
+        this.angle = randLevel.int(4)*PI/2;
+        if (randLevel.float() < .5)
             this.size = this.size.flip();
 
-        this.mirror = rand() < .5;
+        this.mirror = randLevel.float() < .5;
         this.health = this.healthMax = health;
         this.setCollision(1, 1);
     }
@@ -282,9 +291,17 @@ class Prop extends GameObject
         deltaSpeedSquared > .05 && this.damage(2*deltaSpeedSquared);
     }
 
+    render()
+    {
+        super.render();
+
+        // lava glows
+        this.isLavaRock && drawLight(this.pos, this.size.x*3, new Color(1,.4,0,this.burnColorPercent()));
+    }
+
     damage(damage, damagingObject)
     {
-        (this.explosionSize || this.type == propType_crate_wood && rand() < .1) && this.burn();
+        (this.explosionSize || this.type == propType_crate_wood && randCombat.float() < .1) && this.burn();
         super.damage(damage, damagingObject);
     }
 
@@ -308,6 +325,9 @@ class Prop extends GameObject
 
 let checkpointPos, activeCheckpoint, checkpointTimer = new Timer;
 
+// the flag waves once each loop
+const checkpointAnimations = {wave:{frames:[14], duration:PI/2, loop:animLoop_repeat}};
+
 class Checkpoint extends GameObject 
 {
     constructor(pos)
@@ -315,6 +335,7 @@ class Checkpoint extends GameObject
         super(pos.int().add(vec2(.5)))
         this.renderOrder = tileRenderOrder-1;
         this.isCheckpoint = 1;
+        this.animation = new Animation(this, checkpointAnimations, 'wave');
         for(let x=3;x--;)
         for(let y=6;y--;)
             setTileCollisionData(pos.subtract(vec2(x-1,1-y)), y ? tileType_empty : tileType_solid);
@@ -325,6 +346,8 @@ class Checkpoint extends GameObject
         if (!this.inUpdateWindow())
             return; // ignore offscreen objects
 
+        this.animation.update();
+
         // check if player is near
         for(const player of players)
             player && !player.isDead() && this.pos.distanceSquared(player.pos) < 1 && this.setActive();
@@ -345,14 +368,183 @@ class Checkpoint extends GameObject
         // draw flag
         const height = 4;
         const color = activeCheckpoint == this ? new Color(1,0,0) : new Color;
-        const a = Math.sin(time*4+this.pos.x);
-        drawTile(this.pos.add(vec2(.5,height-.3-.5-.03*a)), vec2(1,.6), 14, undefined, color, a*.06);  
+        const a = Math.sin(this.animation.getPercent()*2*PI + this.pos.x);
+        drawTile(this.pos.add(vec2(.5,height-.3-.5-.03*a)), vec2(1,.6), this.animation.getFrame(), undefined, color, a*.06);  
         drawRect(this.pos.add(vec2(0,height/2-.5)), vec2(.1,height), new Color(.9,.9,.9));
     }
 }
 
 ///////////////////////////////////////////////////////////////////////////////
 
+class MovingPlatform extends EngineObject
+{
+    constructor(path, size=vec2(3,.5), speed=.05, waitTime=1, loop=0, triggered=0)
+    {
+        ASSERT(path.length > 1);
+        super(path[0], size);
+        this.path = path.map((pos)=> pos.copy());
+        this.speed = speed;
+        this.waitTime = waitTime;
+        this.loop = loop;           // go back to start after the end instead of reversing
+        this.triggered = triggered; // wait at each stop until triggered by a switch or rider
+        this.pathIndex = 0;
+        this.pathDirection = 1;
+        this.waitTimer = new Timer(waitTime);
+        this.renderOrder = tileRenderOrder+1;
+
+        // kinematic, moves along its path and is not pushed by anything
+        this.mass = this.gravityScale = 0;
+        this.damping = 1;
+        this.setCollision(1, 1, 0);
+    }
+
+    update()
+    {
+        if (!levelWarmup && !isInUpdateWindow(this.pos, this.size))
+            return; // ignore offscreen objects
+
+        // find everything standing on the platform before it moves
+        const riders = this.getRiders();
+        const hasRider = riders.some((o)=> o.isCharacter);
+
+        // move towards the next stop on the path
+        const oldPos = this.pos.copy();
+        const target = this.path[this.pathIndex];
+        const delta = target.subtract(this.pos);
+        const distance = delta.length();
+        this.velocity = distance > this.speed ? delta.scale(this.speed/distance) : delta;
+        super.update();
+
+        if (distance && distance <= this.speed)
+        {
+            // arrived at stop
+            this.pos = target.copy();
+            this.waitTimer.set(this.waitTime);
+        }
+        else if (!distance && (!this.triggered || hasRider && !this.hadRider))
+            this.trigger(); // continue on or start moving when someone steps on
+        this.hadRider = hasRider;
+
+        // carry riders up and down, friction carries them sideways
+        for(const o of riders)
+        {
+            const pos = o.pos.add(vec2(0, this.pos.y - oldPos.y));
+            if (o.collideTiles && tileCollisionTest(pos, o.size, o))
+                continue; // blocked by the level
+
+            o.pos = pos;
+            spatialHashUpdate(o);
+        }
+    }
+
+    getRiders()
+    {
+        // get objects on top of the platform and anything stacked on them
+        const riders = [];
+        const findRiders = (ground)=> forEachObject(ground.pos, ground.size.add(vec2(2)), (o)=>
+        {
+            const gap = o.pos.y - o.size.y*.5 - ground.pos.y - ground.size.y*.5;
+            if (o.groundObject && abs(gap) < .01 && abs(o.pos.x - ground.pos.x)*2 < o.size.x + ground.size.x && !riders.includes(o) && o != this)
+            {
+                riders.push(o);
+                findRiders(o);
+            }
+        });
+        findRiders(this);
+        return riders;
+    }
+
+    trigger(pathIndex)
+    {
+        if (!this.waitTimer.elapsed())
+            return;
+
+        // move to a stop on the path, or the next one if not set
+        if (pathIndex != undefined)
+            this.pathIndex = pathIndex;
+        else if (this.loop)
+            this.pathIndex = (this.pathIndex + 1) % this.path.length;
+        else
+        {
+            if (!this.path[this.pathIndex + this.pathDirection])
+                this.pathDirection *= -1;
+            this.pathIndex += this.pathDirection;
+        }
+    }
+
+    applyForce() {} // kinematic objects are not pushed
+
+    collideWithObject(o)
+    {
+        // stop bullets
+        o instanceof Bullet && o.kill();
+        return 1;
+    }
+
+    render()
+    {
+        drawRect(this.pos, this.size, new Color(.2,.2,.2));
+        drawRect(this.pos.add(vec2(0,this.size.y*.25)), this.size.subtract(vec2(.2,this.size.y*.5)), new Color(.5,.5,.5));
+    }
+}
+
+class PlatformSwitch extends EngineObject
+{
+    constructor(pos, platform, pathIndex)
+    {
+        super(pos, vec2(.5));
+        this.platform = platform;
+        this.pathIndex = pathIndex; // stop to call the platform to, or the next stop if not set
+        this.renderOrder = tileRenderOrder+1;
+    }
+
+    update()
+    {
+        // trigger when a player first touches the switch
+        const touching = players.some((player)=> player && !player.isDead() && isOverlapping(this.pos, this.size, player.pos, player.size));
+        touching && !this.touching && this.platform.trigger(this.pathIndex);
+        this.touching = touching;
+    }
+
+    render()
+    {
+        const color = this.platform.pathIndex == this.pathIndex ? new Color(0,1,0) : new Color(1,0,0);
+        drawRect(this.pos, this.size, new Color(.2,.2,.2));
+        drawRect(this.pos, this.size.scale(.5), color);
+    }
+}
+
+class Trigger extends EngineObject
+{
+    constructor(pos, size, targets=[], pathIndex, once=0)
+    {
+        super(pos, size);
+        this.targets = targets;     // objects to trigger, like moving platforms
+        this.pathIndex = pathIndex; // passed to the targets when triggered
+        this.once = once;           // remove after triggering
+    }
+
+    update()
+    {
+        // trigger when a player first enters the area
+        const touching = players.some((player)=> player && !player.isDead() && isOverlapping(this.pos, this.size, player.pos, player.size));
+        if (touching && !this.touching)
+        {
+            for(const o of this.targets)
+                o.destroyed || o.trigger(this.pathIndex);
+            this.once && this.destroy();
+        }
+        this.touching = touching;
+    }
+
+    render() {} // triggers are invisible
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+// grenades beep each second until they explode
+const grenadeAnimations = {fuse:{frames:[5,5,5], duration:1, events:{1:'beep', 2:'beep'}}};
+
 class Grenade extends GameObject
 {
     constructor(pos) 
@@ -360,7 +552,7 @@ class Grenade extends GameObject
         super(pos, vec2(.2), 5, vec2(8));
 
         this.health = this.healthMax = 1e3;
-        this.beepTimer = new Timer(1);
+        this.animation = new Animation(this, grenadeAnimations, 'fuse');
         this.elasticity = .3;
         this.friction   = .9;
         this.angleDamping = .96;
@@ -379,20 +571,21 @@ class Grenade extends GameObject
             return;
         }
 
-        if (this.beepTimer.elapsed())
-        {
-            playSound(sound_grenade, this.pos)
-            this.beepTimer.set(1);
-        }
-
+        this.animation.update();
         alertEnemies(this.pos, this.pos);
     }
+
+    animationEvent(event)
+    {
+        event == 'beep' && playSound(sound_grenade, this.pos);
+    }
        
     render()
     {
-        drawTile(this.pos, vec2(.5), this.tileIndex, this.tileSize, this.color, this.angle);
+        drawTile(this.pos, vec2(.5), this.animation.getFrame(), this.tileSize, this.color, this.angle);
 
         const a = this.getAliveTime();
+        drawLight(this.pos, 3, new Color(1,0,0,.5-.5*Math.cos(a*2*PI))); // pulses with each beep
         setBlendMode(1);
         drawTile(this.pos, vec2(2), 0, vec2(16), new Color(1,0,0,.2-.2*Math.cos(a*2*PI)));
         drawTile(this.pos, vec2(1), 0, vec2(16), new Color(1,0,0,.2-.2*Math.cos(a*2*PI)));
@@ -413,17 +606,9 @@ class Weapon extends EngineObject
         this.isWeapon = 1;
         this.fireTimeBuffer = this.localAngle = 0;
         this.recoilTimer = new Timer;
+        this.muzzleFlashTimer = new Timer;
 
-        this.addChild(this.shellEmitter = new ParticleEmitter(
-            vec2(), 0, 0, 0, .1,  // pos, emitSize, emitTime, emitRate, emiteCone
-            undefined, undefined, // tileIndex, tileSize
-            new Color(1,.8,.5), new Color(.9,.7,.5), // colorStartA, colorStartB
-            new Color(1,.8,.5), new Color(.9,.7,.5), // colorEndA, colorEndB
-            3, .1, .1, .15, .1, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-            1, .95, 1, 0, 0,    // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-            .1, 1              // randomness, collide, additive, randomColorLinear, renderOrder
-        ));
-        this.shellEmitter.elasticity = .5;
+        this.addChild(this.shellEmitter = new ParticleEmitter(vec2(), particlePresets.shells));
         this.shellEmitter.particleDestroyCallback = persistentParticleDestroyCallback;
         this.renderOrder = parent.renderOrder+1;
 
@@ -442,8 +627,13 @@ class Weapon extends EngineObject
         this.mirror = this.parent.mirror;
         this.fireTimeBuffer += timeDelta;
 
+        // point where the parent aims, or straight ahead when not aiming
+        const aimDirection = this.getAimDirection();
+        const aimAngle = -Math.atan2(aimDirection.y, abs(aimDirection.x));
         if (this.recoilTimer.active())
-            this.localAngle = lerp(this.recoilTimer.getPercent(), 0, this.localAngle);
+            this.localAngle = lerp(this.recoilTimer.getPercent(), aimAngle, this.localAngle);
+        else if (this.parent.aimDirection.lengthSquared())
+            this.localAngle = aimAngle;
 
         if (this.triggerIsDown)
         {
@@ -452,11 +642,11 @@ class Weapon extends EngineObject
             const rate = 1/fireRate;
             for(; this.fireTimeBuffer > 0; this.fireTimeBuffer -= rate)
             {
-                this.localAngle = -rand(.2,.15);
-                this.recoilTimer.set(rand(.4,.3));
+                this.localAngle = aimAngle - randCombat.float(.2,.15);
+                this.recoilTimer.set(randCombat.float(.4,.3));
+                this.muzzleFlashTimer.set(.05);
                 const bullet = new Bullet(this.pos, this.parent);
-                const direction = vec2(this.getMirrorSign(speed), 0);
-                bullet.velocity = direction.rotate(rand(spread,-spread));
+                bullet.velocity = aimDirection.scale(speed).rotate(randCombat.float(spread,-spread));
 
                 this.shellEmitter.localAngle = -.8*this.getMirrorSign();
                 this.shellEmitter.emitParticle();
@@ -469,6 +659,21 @@ class Weapon extends EngineObject
         else
             this.fireTimeBuffer = min(this.fireTimeBuffer, 0);
     }
+
+    // unit vector the weapon fires along
+    getAimDirection()
+    {
+        const aimDirection = this.parent.aimDirection;
+        return aimDirection.lengthSquared() ? aimDirection.normalize() : vec2(this.getMirrorSign(), 0);
+    }
+
+    render()
+    {
+        super.render();
+
+        // light up the area in front of the muzzle when firing
+        this.muzzleFlashTimer.active() && drawLight(this.pos.add(this.getAimDirection().scale(.5)), 5, new Color(1,.8,.5));
+    }
 }
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -498,15 +703,7 @@ class Bullet extends EngineObject
         this.range -= this.velocity.length();
         if (this.range < 0)
         {
-            const emitter = new ParticleEmitter(
-                this.pos, .2, .1, 100, PI, // pos, emitSize, emitTime, emitRate, emiteCone
-                0, undefined,     // tileIndex, tileSize
-                new Color(1,1,0,.5), new Color(1,1,1,.5), // colorStartA, colorStartB
-                new Color(1,1,0,0), new Color(1,1,1,0), // colorEndA, colorEndB
-                .1, .5, .1, .1, .1, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-                1, 1, .5, PI, .1,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-                .5, 0, 1           // randomness, collide, additive, randomColorLinear, renderOrder
-            );
+            new ParticleEmitter(this.pos, particlePresets.bulletFizzle);
 
             this.destroy();
             return;
@@ -545,7 +742,7 @@ class Bullet extends EngineObject
             return 0;
             
         const destroyTileChance = data == tileType_glass ? 1 : data == tileType_dirt ? .2 : .05;
-        rand() < destroyTileChance && destroyTile(pos);
+        randCombat.float() < destroyTileChance && destroyTile(pos);
         this.kill();
 
         return 1; 
@@ -556,18 +753,8 @@ class Bullet extends EngineObject
         if (this.destroyed)
             return;
 
-        const emitter = new ParticleEmitter(
-            this.pos, 0, .1, 100, .5, // pos, emitSize, emitTime, emitRate, emiteCone
-            undefined, undefined,     // tileIndex, tileSize
-            new Color(1,1,0), new Color(1,0,0), // colorStartA, colorStartB
-            new Color(1,1,0), new Color(1,0,0), // colorEndA, colorEndB
-            .2, .2, 0, .1, .1, // particleTime, sizeStart, sizeEnd, particleSpeed, particleAngleSpeed
-            1, 1, .5, PI, .1,  // damping, angleDamping, gravityScale, particleCone, fadeRate, 
-            .5, 1, 1           // randomness, collide, additive, randomColorLinear, renderOrder
-        );
-        emitter.trailScale = 1;
+        const emitter = new ParticleEmitter(this.pos, particlePresets.sparks);
         emitter.angle = this.lastVelocity.angle() + PI;
-        emitter.elasticity = .3;
 
         this.destroy();
     }
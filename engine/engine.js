@@ -12,9 +12,20 @@
     - Input processing system with gamepad and touchscreen support
     - Tile layer rendering and collision system
     - Particle effect system
+    - Sprite animation clips with frame events
     - Automatically calls appInit(), appUpdate(), appUpdatePost(), appRender(), appRenderPost()
     - Debug tools and debug rendering system
     - Call engineInit() to start it up!
+    - Runs headless without a dom or canvas for automated testing
+    - Input recording and replay system
+    - Save and load of objects to local storage or json files
+    - Spatial hash broadphase for object collision and queries
+    - Multiple tile sheets and atlases load behind a loading screen
+    - Dynamic 2D point lights with tile shadows and ambient light
+    - Post processing stack for the final frame with a canvas 2D fallback
+    - Camera shake, follow, zoom and scripted pans
+    - Split screen viewports that each render the world with their own camera
+    - Online multiplayer through a WebSocket relay with a host and snapshot interpolation
 */
 
 'use strict';
@@ -38,6 +49,11 @@ const defaultTileSize = vec2(16); // default size of tiles in pixels
 const tileBleedShrinkFix = .3;    // prevent tile bleeding from neighbors
 const pixelated = 1;              // use crisp pixels for pixel art
 
+// headless mode runs game logic without a dom or canvas (for node and automated testing)
+const headless = typeof document == 'undefined';
+const headlessCanvasSize = vec2(1280, 720); // canvas size used for gameplay windows when headless
+let headlessDrawLog; // set to an array to record draw calls when headless
+
 ///////////////////////////////////////////////////////////////////////////////
 // core engine
 
@@ -46,28 +62,93 @@ let mainCanvas=0, mainContext=0, mainCanvasSize=vec2();
 let engineObjects=[], engineCollideObjects=[];
 let frame=0, time=0, realTime=0, paused=0, frameTimeLastMS=0, frameTimeBufferMS=0, debugFPS=0;
 let cameraPos=vec2(), cameraScale=4*max(defaultTileSize.x, defaultTileSize.y);
-let tileImageSize, tileImageSizeInverse, shrinkTilesX, shrinkTilesY, drawCount;
+let tileImage, tileImageSize, tileImageSizeInverse, drawCount; // the default tile sheet used by everything
+let engineUpdateHeadless; // call to step frames when headless, set by engineInit
+let engineObjectsFrozen = 0; // objects and time stop but the app still updates, used by editors
+let engineViewports = []; // split screen, list of {pos, size, cameraPos, cameraScale} in pixels, empty for one screen
 
-const tileImage = new Image(); // the tile image used by everything
 function engineInit(appInit, appUpdate, appUpdatePost, appRender, appRenderPost)
 {
-    // init engine when tiles load
-    tileImage.onload = ()=>
+    // update a single frame of game logic
+    const engineUpdateFrame = ()=>
+    {
+        netUpdate();
+        replayUpdate();
+        appUpdate();
+        engineObjectsFrozen || engineUpdateObjects();
+        appUpdatePost();
+        cameraUpdate();
+        debugUpdate();
+        replayUpdatePost();
+        netUpdatePost();
+
+        // update input
+        for(let deviceInputData of inputData)
+            deviceInputData.map(k=> k.r = k.p = 0);
+        mouseWheel = 0;
+    }
+
+    // render all objects in sorted order, destroyed objects are skipped
+    // a sorted copy is drawn so objects made after the update are in order without changing update order
+    const engineRenderObjects = ()=>
+    {
+        for(const o of [...engineObjects].sort((a,b)=> a.renderOrder - b.renderOrder))
+            o.destroyed || o.render();
+    }
+
+    if (headless)
+    {
+        // there is no tile image or canvas, the caller steps frames manually
+        mainCanvasSize = headlessCanvasSize.copy();
+        engineUpdateHeadless = (frameCount=1)=>
+        {
+            for(;frameCount--;)
+            {
+                // object render is still called so render side effects happen, but nothing is drawn
+                drawCount = 0;
+                engineUpdateFrame();
+                engineRenderObjects();
+            }
+        }
+        appInit();
+        return;
+    }
+
+    // setup html
+    document.body.appendChild(mainCanvas = document.createElement('canvas'));
+    document.body.style = 'margin:0;overflow:hidden;background:#000';
+    mainCanvas.style = 'position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);image-rendering:crisp-edges;image-rendering:pixelated';          // pixelated rendering
+    mainContext = mainCanvas.getContext('2d');
+
+    // show a progress bar until the tile sheets are loaded
+    let loading = 1;
+    const renderLoading = ()=>
+    {
+        if (!loading)
+            return;
+
+        requestAnimationFrame(renderLoading);
+        mainCanvas.width = min(innerWidth, maxWidth);
+        mainCanvas.height = min(innerHeight, maxHeight);
+        const width = mainCanvas.width/3, x = mainCanvas.width/2 - width/2, y = mainCanvas.height/2 - 10;
+        mainContext.fillStyle = '#fff';
+        mainContext.fillRect(x, y, width*getTileSheetsLoaded(), 20);
+        mainContext.strokeStyle = '#fff';
+        mainContext.strokeRect(x, y, width, 20);
+    };
+
+    // init engine when tile sheets load
+    const engineStart = ()=>
     {
-        // save tile image info
-        tileImageSizeInverse = vec2(1).divide(tileImageSize = vec2(tileImage.width, tileImage.height));
-        debug && (tileImage.onload=()=>ASSERT(1)); // tile sheet can not reloaded
-        shrinkTilesX = tileBleedShrinkFix/tileImageSize.x;
-        shrinkTilesY = tileBleedShrinkFix/tileImageSize.y;
-
-        // setup html
-        document.body.appendChild(mainCanvas = document.createElement('canvas'));
-        document.body.style = 'margin:0;overflow:hidden;background:#000';
-        mainCanvas.style = 'position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);image-rendering:crisp-edges;image-rendering:pixelated';          // pixelated rendering
-        mainContext = mainCanvas.getContext('2d');
+        // save default tile sheet info
+        loading = 0;
+        ({image:tileImage, size:tileImageSize, sizeInverse:tileImageSizeInverse} = tileSheetDefault);
+        mainCanvasSize = vec2(mainCanvas.width, mainCanvas.height);
 
         debugInit();
         glInit();
+        lightInit();
+        postProcessInit();
         appInit();
         engineUpdate();
     };
@@ -87,6 +168,9 @@ function engineInit(appInit, appUpdate, appUpdatePost, appRender, appRenderPost)
         realTime = frameTimeMS / 1e3;
         if (debug)
             frameTimeDeltaMS *= keyIsDown(107) ? 5 : keyIsDown(109) ? .2 : 1;
+        replayUpdateControls();
+        inputUpdatePause();
+        frameTimeDeltaMS *= replaySpeed;
         if (!paused)
             frameTimeBufferMS += frameTimeDeltaMS;
 
@@ -106,26 +190,18 @@ function engineInit(appInit, appUpdate, appUpdatePost, appRender, appRenderPost)
         //debug && frameTimeBufferMS < 0 && console.log('skipped frame! ' + -frameTimeBufferMS);
 
         // clamp incase of extra long frames (slow framerate)
-        frameTimeBufferMS = min(frameTimeBufferMS, 50);
+        frameTimeBufferMS = min(frameTimeBufferMS, 50 * replaySpeed);
         
         // update the frame
         for (;frameTimeBufferMS >= 0; frameTimeBufferMS -= 1e3 / FPS)
-        {
-            // main frame update
-            appUpdate();
-            engineUpdateObjects();
-            appUpdatePost();
-            debugUpdate();
-
-            // update input
-            for(let deviceInputData of inputData)
-                deviceInputData.map(k=> k.r = k.p = 0);
-            mouseWheel = 0;
-        }
+            engineUpdateFrame();
 
         // add the smoothing back in
         frameTimeBufferMS += deltaSmooth;
 
+        // music keeps updating while paused so it can pause and resume
+        musicUpdate();
+
         if (fixedWidth)
         {
             // clear and fill window if smaller
@@ -149,14 +225,41 @@ function engineInit(appInit, appUpdate, appUpdatePost, appRender, appRenderPost)
         mainCanvasSize = vec2(mainCanvas.width, mainCanvas.height);
         mainContext.imageSmoothingEnabled = !pixelated; // disable smoothing for pixel art
 
-        // render sort then render while removing destroyed objects
-        glPreRender(mainCanvas.width, mainCanvas.height);
-        appRender();
-        engineObjects.sort((a,b)=> a.renderOrder - b.renderOrder);
-        for(const o of engineObjects)
-            o.destroyed || o.render();
-        glCopyToContext(mainContext);
-        appRenderPost();
+        // render the world once for each viewport, or once for the whole screen
+        const [screenCameraPos, screenCameraScale, screenSize] = [cameraPos, cameraScale, mainCanvasSize];
+        for(const viewport of engineViewports.length ? engineViewports : [0])
+        {
+            if (viewport)
+            {
+                // viewports have their own camera and size, drawing is moved and clipped to them
+                ({cameraPos, cameraScale, size:mainCanvasSize} = viewport);
+                mainContext.save();
+                mainContext.translate(viewport.pos.x, viewport.pos.y);
+                mainContext.beginPath();
+                mainContext.rect(0, 0, mainCanvasSize.x, mainCanvasSize.y);
+                mainContext.clip();
+            }
+
+            // shake only moves the view while rendering
+            const cameraPosUnshaken = cameraPos;
+            cameraPos = cameraPos.add(cameraGetShake());
+
+            // render while removing destroyed objects, the app draws its hud for each viewport
+            glPreRender(mainCanvasSize.x, mainCanvasSize.y);
+            appRender();
+            engineRenderObjects();
+            glCopyToContext(mainContext);
+            lightRender();
+            appRenderPost();
+            cameraPos = cameraPosUnshaken;
+            if (viewport)
+            {
+                glCopyToContext(mainContext, 1);
+                mainContext.restore();
+            }
+        }
+        [cameraPos, cameraScale, mainCanvasSize] = [screenCameraPos, screenCameraScale, screenSize];
+        postProcessRender();
         debugRender();
 
         if (showWatermark)
@@ -178,18 +281,25 @@ function engineInit(appInit, appUpdate, appUpdatePost, appRender, appRenderPost)
         // copy anything left in the buffer if necessary
         glCopyToContext(mainContext);
     }
-    //tileimage.src = 'finrip.png';
-    tileImage.src = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAIAAAABACAYAAADS1n9/AAAAAXNSR0IArs4c6QAAB8FJREFUeF7tXLFu5DYQpZBr8gP5BDu9f2Dde3G1EfeuDQO54gqviyscwLjavQ+uD+t+9wfcpIrd5SfSJMgmT9ZbjEakRJFcU3tH4YBdrzjkcN7jzHAoXWXSXRvVVZWu69LTrizgBGmz2bQAraqqD1Dd3DTNU5OAOqXud1f2nXy/HUN2kNTLuksEp0gACQCwC9wtI5sGtnbaC0ntfUgTK4/xYvuIlR9FupZRhsBnz8obeBNgwKu4Jl7ruME/UqCqwBKpe0eH6+trs1gstDHc5Go7PDNSvlbx5v39drxffz4zv/1xbz58PfPWIVJ+FPBbLPnFF/wxJNAeYEcE2HYL0K6urmoVNYAgw2KxsHoNRrtA+Rb4AJxAggTVTQcXqw6UCZQPAh9CW2VSE8Dl/jmO9iJiBmNDQEt1F4gNAVpzbsaMle+sfoKovcDmgyEh9Bxb3iNAPo4AY8F3eYGIXYBvctdpR90BPC96AXoCfOI3lb68hpZm+YfKo4+b9/e1XtLdSy+AUIDL4hFqHWLlg9GnB0hEgBg9gmWhu171BLwTfP/fyDAvaD6rWHkCCPAvVq8jfj5+/QQJ6AUkAVS7CgTQ8n0E0vLBxktMgA0U4+Sb7z6Zd4z+AHTDFY8VjgUtCSE7x31NgDHy0kuQQAwjEhTawZcAcES+8mc3n8xPq4+SaFE2brnBsUiIOL6dAPtoiBClnKc+1hoEANKhQO0KqJu3PPQRfbR2IQRQzt9FADGvrQ4+8r9//bMW/WJeCdCzZfY0XZoksAN+ThLIVS6toFasNtCWBDZ5kUCSANZMXq7iX8ynDggNcM4kt08esuxzoB9v8FsMGpsH9K1+FwHkDgDfB6qLoybCAoxc5dLdO7aAGKNVf1AhwqWDE0QISPC5WvHbF/OxV46DKaDH6jDKbikKQRjwx4uV+UuPrMPAjgnQAbNxkRLgMdXDzlbN4rptxradiby1Dt4kSFEKxmDvLlbmbznqG+YActgh49viZl/52duQouEUdPDW25mkjTwMqknQuNN/jTE/GGP+8daiNMxmgbfI0rNNrgw8bIG6EDLczN7i5eXFHB4eRpFouVxuxz85OakHenx87AzIe/KGbhcib+vX1x6Y//n5uZnNZrXI0dFR/enqk/o+PT3V7dbrtVmtmuqR76CqHRNp1DMw/nw+78UD9sb4TIprAmAiBwcHBp8+F9ti8uv1OpoAMBiMM2Q46sb2t7e35vLyspYLlQcAMfOHTrkJAAyPj4+9ycS2IM+WAA8PD+b09NQHf8O2qQmgBx9a9ZoAcvW5CCG9BuRJgND5T4EAWNW0FaqV9ETanlj5LI7BDvAWWwJ4Ia8apSbAGC8E8HBpD0CA6RVc86I8CRA6/1gC0HuEjA8ZuvLoEBCiQAoCMAexxX2tEwlC8HCfMVQCj991f5IwWt439Gl9MP9YAqTKAZhL+eQA0JntsnsASQDbqqWb18aX7t8GONtL0sBbUE7K7zsBkuQAOT2Az+p36UfSaO8AsHHJsOIKG/tOgL3OAcBeXwJIb0BgpdeQ912ew5Zo5iTAd58DkL0AQQMxlBTadgE2ErjqA3IXEOoBZQ6Afb3MS7Ddsv1N0FPWAfY2ByAB+ryAzg1scVxv77hDsAEr5XPvAlIkgXudA2gC+LpuWzzvW8W636lsA1MQYO9zAALHVTzk+tFeAqjlXTsGHR7onksO4FkCtu2DY0vBTAJdhRubR9D7eFb9ZPXPVgfgzqDUASx1AJ9Vp/fWqQpBrqKNjuM69jOJG5LXc7PlAKHzn0IhKEkOEFoLT+EBWMiRK5OrVe/l6f55X2b4LnlbPUDKIwSEzn8KBIjKAZ6fnzcsaYZshWIJAOVdwMnfbbrZXLokjo88Vn7M/GMJkL0OgAmEPhOA00T5XL1MxmwxHadROKlKdR6e4nmEENJ/SzKtB0L44gOODPWrUvpvFjnAYPn8Pd35GALIJM7HuPJ5gFgP5DPet9zG+kAI3CIA5/MBtr/5NAwAgBeQRkKFC8RgZcxlQMhyF0Dv4GNstoWLLwTwsZi7TRICzGYz62NlmgA63kkCQEXfx7OY9RcCxIEP6WgC6BCA0MCHNKR6AI3bL50DyLP8oaIMvFEhQDzw7CEpAXyeS5OvXvEwpBAgHaBje+olADtjUihzAvlELJNAEsB1Coa6ty8BsNLlRc9QPMBYiPvbOwkAEO/u7mppFElw+RAA7n8+n9ft9Xt2y+Wyvsff+zyABBq5QSFAWuAHQ0AoAZATEGC+csD/mYNv2RYC7AbMkF57Q4B8wEFvC20hAAowDDSPHdc6YeVjFfMeawpDHqCEgBBIx8kkzQEkAfBdFpbqLUdV1WQou4BxIO2ydXICkAQyFEjXbysFl13ALiEOTAJjK4GsBmJ4+V2qUwpB+YBvJYH8T5Vkpj1EANwHsADRVQkcmp4kwNCbPLKvchYwZFn/+3UIQHI29liSCWKqw6ByFuAPWsqW9Zu9MSs49jgYtYaY8/hyGBRHh6hXu+OGLtJTsEAhwBRQyKhDIUBG409h6EKAKaCQUYdCgIzGn8LQhQBTQCGjDoUAGY0/haELAaaAQkYdCgEyGn8KQxcCTAGFjDoUAmQ0/hSGLgSYAgoZdSgEyGj8KQxdCDAFFDLqUAiQ0fhTGLoQYAooZNThP8Kd2rnc0G1oAAAAAElFTkSuQmCC';
+    //loadTileSheet('', 'finrip.png');
+    loadTileSheet('', 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAIAAAABACAYAAADS1n9/AAAAAXNSR0IArs4c6QAAB8FJREFUeF7tXLFu5DYQpZBr8gP5BDu9f2Dde3G1EfeuDQO54gqviyscwLjavQ+uD+t+9wfcpIrd5SfSJMgmT9ZbjEakRJFcU3tH4YBdrzjkcN7jzHAoXWXSXRvVVZWu69LTrizgBGmz2bQAraqqD1Dd3DTNU5OAOqXud1f2nXy/HUN2kNTLuksEp0gACQCwC9wtI5sGtnbaC0ntfUgTK4/xYvuIlR9FupZRhsBnz8obeBNgwKu4Jl7ruME/UqCqwBKpe0eH6+trs1gstDHc5Go7PDNSvlbx5v39drxffz4zv/1xbz58PfPWIVJ+FPBbLPnFF/wxJNAeYEcE2HYL0K6urmoVNYAgw2KxsHoNRrtA+Rb4AJxAggTVTQcXqw6UCZQPAh9CW2VSE8Dl/jmO9iJiBmNDQEt1F4gNAVpzbsaMle+sfoKovcDmgyEh9Bxb3iNAPo4AY8F3eYGIXYBvctdpR90BPC96AXoCfOI3lb68hpZm+YfKo4+b9/e1XtLdSy+AUIDL4hFqHWLlg9GnB0hEgBg9gmWhu171BLwTfP/fyDAvaD6rWHkCCPAvVq8jfj5+/QQJ6AUkAVS7CgTQ8n0E0vLBxktMgA0U4+Sb7z6Zd4z+AHTDFY8VjgUtCSE7x31NgDHy0kuQQAwjEhTawZcAcES+8mc3n8xPq4+SaFE2brnBsUiIOL6dAPtoiBClnKc+1hoEANKhQO0KqJu3PPQRfbR2IQRQzt9FADGvrQ4+8r9//bMW/WJeCdCzZfY0XZoksAN+ThLIVS6toFasNtCWBDZ5kUCSANZMXq7iX8ynDggNcM4kt08esuxzoB9v8FsMGpsH9K1+FwHkDgDfB6qLoybCAoxc5dLdO7aAGKNVf1AhwqWDE0QISPC5WvHbF/OxV46DKaDH6jDKbikKQRjwx4uV+UuPrMPAjgnQAbNxkRLgMdXDzlbN4rptxradiby1Dt4kSFEKxmDvLlbmbznqG+YActgh49viZl/52duQouEUdPDW25mkjTwMqknQuNN/jTE/GGP+8daiNMxmgbfI0rNNrgw8bIG6EDLczN7i5eXFHB4eRpFouVxuxz85OakHenx87AzIe/KGbhcib+vX1x6Y//n5uZnNZrXI0dFR/enqk/o+PT3V7dbrtVmtmuqR76CqHRNp1DMw/nw+78UD9sb4TIprAmAiBwcHBp8+F9ti8uv1OpoAMBiMM2Q46sb2t7e35vLyspYLlQcAMfOHTrkJAAyPj4+9ycS2IM+WAA8PD+b09NQHf8O2qQmgBx9a9ZoAcvW5CCG9BuRJgND5T4EAWNW0FaqV9ETanlj5LI7BDvAWWwJ4Ia8apSbAGC8E8HBpD0CA6RVc86I8CRA6/1gC0HuEjA8ZuvLoEBCiQAoCMAexxX2tEwlC8HCfMVQCj991f5IwWt439Gl9MP9YAqTKAZhL+eQA0JntsnsASQDbqqWb18aX7t8GONtL0sBbUE7K7zsBkuQAOT2Az+p36UfSaO8AsHHJsOIKG/tOgL3OAcBeXwJIb0BgpdeQ912ew5Zo5iTAd58DkL0AQQMxlBTadgE2ErjqA3IXEOoBZQ6Afb3MS7Ddsv1N0FPWAfY2ByAB+ryAzg1scVxv77hDsAEr5XPvAlIkgXudA2gC+LpuWzzvW8W636lsA1MQYO9zAALHVTzk+tFeAqjlXTsGHR7onksO4FkCtu2DY0vBTAJdhRubR9D7eFb9ZPXPVgfgzqDUASx1AJ9Vp/fWqQpBrqKNjuM69jOJG5LXc7PlAKHzn0IhKEkOEFoLT+EBWMiRK5OrVe/l6f55X2b4LnlbPUDKIwSEzn8KBIjKAZ6fnzcsaYZshWIJAOVdwMnfbbrZXLokjo88Vn7M/GMJkL0OgAmEPhOA00T5XL1MxmwxHadROKlKdR6e4nmEENJ/SzKtB0L44gOODPWrUvpvFjnAYPn8Pd35GALIJM7HuPJ5gFgP5DPet9zG+kAI3CIA5/MBtr/5NAwAgBeQRkKFC8RgZcxlQMhyF0Dv4GNstoWLLwTwsZi7TRICzGYz62NlmgA63kkCQEXfx7OY9RcCxIEP6WgC6BCA0MCHNKR6AI3bL50DyLP8oaIMvFEhQDzw7CEpAXyeS5OvXvEwpBAgHaBje+olADtjUihzAvlELJNAEsB1Coa6ty8BsNLlRc9QPMBYiPvbOwkAEO/u7mppFElw+RAA7n8+n9ft9Xt2y+Wyvsff+zyABBq5QSFAWuAHQ0AoAZATEGC+csD/mYNv2RYC7AbMkF57Q4B8wEFvC20hAAowDDSPHdc6YeVjFfMeawpDHqCEgBBIx8kkzQEkAfBdFpbqLUdV1WQou4BxIO2ydXICkAQyFEjXbysFl13ALiEOTAJjK4GsBmJ4+V2qUwpB+YBvJYH8T5Vkpj1EANwHsADRVQkcmp4kwNCbPLKvchYwZFn/+3UIQHI29liSCWKqw6ByFuAPWsqW9Zu9MSs49jgYtYaY8/hyGBRHh6hXu+OGLtJTsEAhwBRQyKhDIUBG409h6EKAKaCQUYdCgIzGn8LQhQBTQCGjDoUAGY0/haELAaaAQkYdCgEyGn8KQxcCTAGFjDoUAmQ0/hSGLgSYAgoZdSgEyGj8KQxdCDAFFDLqUAiQ0fhTGLoQYAooZNThP8Kd2rnc0G1oAAAAAElFTkSuQmCC');
+    tileSheetDefault = tileSheets[''];
+    renderLoading();
+    Promise.all(tileSheetsLoading).then(engineStart);
     }
 
 function engineUpdateObjects()
 {
+    // objects may have been moved outside of their update
+    spatialHashRebuild();
+
     // recursive object update
     const updateObject = (o)=>
     {
         if (!o.destroyed)
         {
-            o.update();
+            o.netRemote || o.update(); // objects the network host controls are moved by snapshots
+            o.collideSolidObjects && spatialHashUpdate(o);
             for(const child of o.children)
                 updateObject(child);
         }
@@ -198,6 +308,9 @@ function engineUpdateObjects()
         o.parent || updateObject(o);
     engineObjects = engineObjects.filter(o=>!o.destroyed);
     engineCollideObjects = engineCollideObjects.filter(o=>!o.destroyed);
+
+    // sort here instead of when rendering so update order does not depend on frame rate
+    engineObjects.sort((a,b)=> a.renderOrder - b.renderOrder);
     time = ++frame / FPS;
 }
 
@@ -213,14 +326,88 @@ function forEachObject(pos, size=0, callbackFunction=(o)=>1, collideObjectsOnly=
     else if (size.x != undefined)
     {
         // aabb test
-        for (const o of objectList)
+        const list = collideObjectsOnly && spatialHashEnable ? 
+            spatialHashQuery(pos, size.add(vec2(spatialHashMaxSize))) : objectList;
+        for (const o of list)
             isOverlapping(pos, size, o.pos, o.size) && callbackFunction(o);
     }
     else
     {
         // circle test
         const sizeSquared = size**2;
-        for (const o of objectList)
+        const list = collideObjectsOnly && spatialHashEnable ? spatialHashQuery(pos, vec2(size*2)) : objectList;
+        for (const o of list)
             pos.distanceSquared(o.pos) < sizeSquared && callbackFunction(o);
     }
 }
+
+///////////////////////////////////////////////////////////////////////////////
+// spatial hash broadphase
+// collide objects are stored in grid cells by their center position
+// query results are in the same order as engineCollideObjects so they match a full scan
+
+let spatialHashEnable = 1; // disable to scan every object instead, for testing
+const spatialHashCellSize = 4;
+let spatialHash = new Map, spatialHashList, spatialHashMaxSize = 0, spatialHashNextIndex = 0;
+
+const spatialHashCell = (v)=> v / spatialHashCellSize | 0;
+const spatialHashKey = (pos)=> spatialHashCell(pos.x) + spatialHashCell(pos.y) * 65536;
+
+function spatialHashRebuild()
+{
+    spatialHash = new Map;
+    spatialHashList = engineCollideObjects;
+    spatialHashMaxSize = spatialHashNextIndex = 0;
+    for(const o of engineCollideObjects)
+        spatialHashAdd(o);
+}
+
+function spatialHashAdd(o)
+{
+    // index is used to sort query results
+    o.spatialHashIndex = spatialHashNextIndex++;
+    spatialHashInsert(o);
+}
+
+function spatialHashInsert(o)
+{
+    const key = o.spatialHashKey = spatialHashKey(o.pos);
+    const cell = spatialHash.get(key);
+    cell ? cell.push(o) : spatialHash.set(key, [o]);
+    spatialHashMaxSize = max(spatialHashMaxSize, o.size.x, o.size.y);
+}
+
+function spatialHashRemove(o)
+{
+    const cell = spatialHash.get(o.spatialHashKey);
+    const index = cell ? cell.indexOf(o) : -1;
+    index < 0 || cell.splice(index, 1);
+}
+
+function spatialHashUpdate(o)
+{
+    // move to a different cell if necessary
+    spatialHashMaxSize = max(spatialHashMaxSize, o.size.x, o.size.y);
+    if (spatialHashKey(o.pos) == o.spatialHashKey)
+        return;
+
+    spatialHashRemove(o);
+    spatialHashInsert(o);
+}
+
+// get collide objects with centers inside an area, sorted in the same order as engineCollideObjects
+function spatialHashQuery(pos, size)
+{
+    // rebuild if the object list was replaced
+    spatialHashList == engineCollideObjects || spatialHashRebuild();
+
+    const objects = [];
+    const maxX = spatialHashCell(pos.x + size.x/2), maxY = spatialHashCell(pos.y + size.y/2);
+    for(let y = spatialHashCell(pos.y - size.y/2); y <= maxY; ++y)
+    for(let x = spatialHashCell(pos.x - size.x/2); x <= maxX; ++x)
+    {
+        const cell = spatialHash.get(x + y * 65536);
+        cell && objects.push(...cell);
+    }
+    return objects.sort((a,b)=> a.spatialHashIndex - b.spatialHashIndex);
+}
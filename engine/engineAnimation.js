@@ -0,0 +1,96 @@
+/*
+    LittleJS Sprite Animation
+    - Clips are data, a list of frames with durations, a loop mode and frame events
+    - Frames are tile indexes, or offsets from a base tile if the object adds one
+    - Events fire as playback reaches a frame and are passed to the owner's animationEvent()
+    - Clips can hold extra data for the owner like how much to bob
+    - Updated with game logic so events happen the same way in replays
+    - Objects pick a state each update and play() only restarts when the clip changes
+*/
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+// loop modes
+const animLoop_once     = 0; // stop on the last frame
+const animLoop_repeat   = 1; // go back to the first frame
+const animLoop_pingPong = 2; // play forwards then backwards
+
+const defaultAnimationFrameDuration = .1;
+
+class Animation
+{
+    // clips is an object of clips by name like {walk:{frames:[0,1], duration:.2, loop:animLoop_repeat, events:{1:'step'}}}
+    constructor(owner, clips, name)
+    {
+        this.owner = owner;
+        this.clips = clips;
+        this.play(name);
+    }
+
+    // switch to a clip, keeps playing if it is already the current clip unless restart is set
+    play(name, restart)
+    {
+        if (name == this.name && !restart)
+            return;
+
+        ASSERT(this.clips[name], 'unknown animation clip ' + name);
+        this.name = name;
+        this.frameIndex = this.frameTime = this.finished = 0;
+        this.direction = 1;
+    }
+
+    // advance playback, time scale can speed up or slow down the clip
+    update(timeScale=1)
+    {
+        const clip = this.getClip(), frameCount = clip.frames.length;
+        this.frameTime += timeDelta*timeScale;
+        for(let duration; !this.finished && this.frameTime >= (duration = this.getFrameDuration(this.frameIndex));)
+        {
+            ASSERT(duration > 0);
+            this.frameTime -= duration;
+            if (clip.loop == animLoop_pingPong && frameCount > 1)
+            {
+                // bounce off the ends
+                if (this.frameIndex + this.direction < 0 || this.frameIndex + this.direction >= frameCount)
+                    this.direction *= -1;
+                this.frameIndex += this.direction;
+            }
+            else if (this.frameIndex < frameCount-1 || clip.loop == animLoop_repeat)
+                this.frameIndex = (this.frameIndex + 1) % frameCount;
+            else
+            {
+                // hold the last frame
+                this.finished = 1;
+                this.frameTime = duration;
+                break;
+            }
+
+            // pass events to the owner
+            const event = clip.events && clip.events[this.frameIndex];
+            event && this.owner.animationEvent && this.owner.animationEvent(event);
+        }
+    }
+
+    getClip()                  { return this.clips[this.name]; }
+    getFrame()                 { return this.getClip().frames[this.frameIndex]; }
+    getFrameDuration(index)
+    {
+        const duration = this.getClip().duration;
+        return duration == undefined ? defaultAnimationFrameDuration : duration.length ? duration[index] : duration;
+    }
+
+    // how far through the clip playback is from 0 to 1
+    getPercent()
+    {
+        let time = this.frameTime, totalTime = 0;
+        for(let i = this.getClip().frames.length; i--;)
+        {
+            const duration = this.getFrameDuration(i);
+            totalTime += duration;
+            i < this.frameIndex && (time += duration);
+        }
+        return totalTime ? time / totalTime : 0;
+    }
+}
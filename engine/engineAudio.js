@@ -4,6 +4,14 @@
     - ZzFX Sound Effects
     - ZzFXM Music
     - Can attenuate zzfx sounds by camera range
+    - Music manager with playlists, crossfades and intensity layers
+    - Songs are rendered a little each frame so the game does not hitch
+    - Music and sounds pause with the game
+    - Mixer with master, sfx, music, ambience and voice buses, each with volume and mute
+    - Sounds are panned by their offset from the camera and limited to a few voices each
+    - Sounds behind tile collision are muffled with a low pass filter
+    - Enclosed spaces add reverb sized to the space and muffle the ambience bus
+    - Sound bank of named zzfx parameters with random variation each time a sound plays
 */
 
 'use strict';
@@ -12,27 +20,40 @@ const soundEnable = 1;       // all audio can be disabled
 const defaultSoundRange = 15;// distance where taper starts
 const soundTaperPecent = .5; // extra range added for sound taper
 const audioVolume = .5;        // volume for sound, music and speech
+const soundMaxVoices = 4;    // how many of the same sound can play at once
+const soundOcclusionFrequency = 700; // low pass cutoff for sounds behind walls
+const soundOcclusionVolume = .6;     // volume scale for sounds behind walls
 let audioContext;            // main audio context
 
 ///////////////////////////////////////////////////////////////////////////////
 
-// play a zzfx sound in world space with attenuation and culling
-function playSound(zzfxSound, pos, range=defaultSoundRange, volumeScale=1)
+// play a zzfx sound in world space with attenuation, panning and culling
+function playSound(zzfxSound, pos, range=defaultSoundRange, volumeScale=1, bus='sfx')
 {
-    if (!soundEnable) return;
+    if (!soundEnable || !hadInput) return;
 
     const lengthSquared = cameraPos.distanceSquared(pos);
     const maxRange = range * (soundTaperPecent + 1);
     if (lengthSquared > maxRange**2)
         return;
 
-    // copy sound (so volume scale isnt permanant)
-    zzfxSound = [...zzfxSound];
-
-    // scale volume
-    const scale = volumeScale * percent(lengthSquared**.5, range, maxRange);
-    zzfxSound[0] = (zzfxSound[0]||1) * scale;
-    zzfx(...zzfxSound);
+    // skip the sound if too many of it are already playing
+    const voices = soundVoices.get(zzfxSound) || [];
+    if (voices.length >= soundMaxVoices)
+        return;
+    soundVoices.set(zzfxSound, voices);
+
+    // muffle the sound if there are tiles between it and the camera, not counting the tile it is in
+    const raycastHit = tileCollisionRaycast(cameraPos, pos);
+    const occluded = raycastHit && raycastHit.pos.distanceSquared(pos) > 1;
+
+    // scale volume and pan by how far to the side of the camera it is
+    const [soundVolume, ...params] = soundVary(zzfxSound);
+    const volume = (soundVolume||1) * volumeScale * percent(lengthSquared**.5, range, maxRange) * (occluded ? soundOcclusionVolume : 1);
+    const pan = clamp((pos.x - cameraPos.x) / range, 1, -1);
+    const source = zzfxP([zzfxG(volume, ...params)], bus, pan, occluded && soundOcclusionFrequency);
+    voices.push(source);
+    source.onended = ()=> voices.splice(voices.indexOf(source), 1);
 }
 
 // render and play zzfxm music with an option to loop
@@ -40,11 +61,273 @@ function playMusic(zzfxmMusic, loop=1)
 {
     if (!soundEnable) return;
 
-    const source = zzfxP(...zzfxM(...zzfxmMusic));
+    const source = zzfxP(zzfxM(...zzfxmMusic), 'music');
     source && (source.loop = loop);
     return source;
 }
 
+///////////////////////////////////////////////////////////////////////////////
+// sound bank
+
+// zzfx parameters in order, bank entries name them and leave out the defaults
+const zzfxParamNames = ['volume', 'randomness', 'frequency', 'attack', 'sustain', 'release', 'shape', 'shapeCurve',
+    'slide', 'deltaSlide', 'pitchJump', 'pitchJumpTime', 'repeatTime', 'noise', 'modulation', 'bitCrush', 'delay',
+    'sustainVolume', 'decay', 'tremolo'];
+const zzfxParamDefaults = [1, .05, 220, 0, 0, .1, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0];
+
+// the bank is json like {"shoot":{"frequency":90, "vary":{"frequency":20}}}, sounds are zzfx arrays made from it
+let soundBank = {}, soundBankSounds = {};
+
+function soundBankLoad(bank)
+{
+    soundBank = bank;
+    for(const name in bank)
+        soundBankUpdate(name);
+    return soundBankSounds;
+}
+
+// rebuild a sound from its bank entry, the array is changed in place so code holding it hears the change
+function soundBankUpdate(name)
+{
+    const entry = soundBank[name], sound = soundBankSounds[name] || (soundBankSounds[name] = []);
+    sound.length = 0;
+    sound.push(...zzfxParamNames.map((param)=> entry[param]));
+    sound.vary = entry.vary && zzfxParamNames.map((param)=> entry.vary[param] || 0);
+    return sound;
+}
+
+// pick parameters within the sound's variation ranges, sounds without any play as they are
+const soundVary = (sound)=> !sound.vary ? sound : sound.map((value, i)=>
+    sound.vary[i] ? (value === undefined ? zzfxParamDefaults[i] : value) + (Math.random()*2 - 1) * sound.vary[i] : value);
+
+///////////////////////////////////////////////////////////////////////////////
+// mixer
+
+// every bus goes through master, saved settings are loaded by audioInitMixer
+const audioBuses = ['master', 'sfx', 'music', 'ambience', 'voice'];
+let audioMixer = Object.fromEntries(audioBuses.map((bus)=> [bus, {volume:1, mute:0}]));
+let audioMixerSaveName;
+const audioBusNodes = {}, soundVoices = new Map;
+
+// load saved volumes for each bus
+function audioInitMixer(saveName)
+{
+    audioMixerSaveName = saveName;
+    const saved = !headless && localStorage[saveName] && JSON.parse(localStorage[saveName]);
+    audioBuses.forEach((bus)=> audioMixer[bus] = {...audioMixer[bus], ...(saved && saved[bus])});
+    audioUpdateMixer();
+}
+
+const audioSaveMixer = ()=> headless || (localStorage[audioMixerSaveName] = JSON.stringify(audioMixer));
+const audioGetVolume = (bus)=> audioMixer[bus].mute ? 0 : audioMixer[bus].volume;
+const audioSetVolume = (bus, volume)=> (audioMixer[bus].volume = clamp(volume), audioUpdateMixer());
+const audioSetMute = (bus, mute)=> (audioMixer[bus].mute = mute, audioUpdateMixer());
+
+// apply the mixer settings to the buses
+const audioUpdateMixer = ()=> audioContext && audioBuses.forEach((bus)=> audioBusNodes[bus].gain.value = audioGetVolume(bus));
+
+// create the audio context and its buses, browsers only allow audio after input
+function audioInitContext()
+{
+    if (audioContext)
+        return;
+
+    audioContext = new (window.AudioContext||webkitAudioContext);
+    for(const bus of audioBuses)
+    {
+        audioBusNodes[bus] = audioContext.createGain();
+        audioBusNodes[bus].connect(bus == 'master' ? audioContext.destination : audioBusNodes.master);
+    }
+    audioUpdateMixer();
+    audioInitEnvironment();
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// environment
+
+const audioReverbVolume = .5;        // how loud the reverb is when fully enclosed
+const audioReverbMaxSize = 30;       // spaces this many tiles across get the longest reverb
+const audioReverbTimes = [.4, .8, 1.4, 2.2]; // reverb length in seconds from small to big spaces
+const audioIndoorFrequency = 500;    // low pass cutoff for the ambience bus when fully enclosed
+
+// sfx and ambience are sent to a shared reverb, only the ambience bus is muffled indoors
+let audioEnclosed = 0, audioReverbIndex = 0, audioReverb, audioReverbSend, audioAmbienceFilter;
+const audioReverbImpulses = [];
+
+function audioInitEnvironment()
+{
+    audioReverb = audioContext.createConvolver();
+    audioReverb.connect(audioBusNodes.master);
+    audioReverbSend = audioContext.createGain();
+    audioReverbSend.gain.value = 0;
+    audioReverbSend.connect(audioReverb);
+
+    audioAmbienceFilter = audioContext.createBiquadFilter();
+    audioAmbienceFilter.frequency.value = zzfxR/2;
+    audioAmbienceFilter.connect(audioBusNodes.master);
+    audioBusNodes.ambience.disconnect();
+    audioBusNodes.ambience.connect(audioAmbienceFilter);
+    audioBusNodes.ambience.connect(audioReverbSend);
+    audioBusNodes.sfx.connect(audioReverbSend);
+
+    audioReverbIndex = -1;
+    audioSetEnvironment(audioEnclosed, 0);
+}
+
+// set how enclosed the listener is from 0 to 1 and how many tiles across the space is
+function audioSetEnvironment(enclosed, size)
+{
+    const reverbIndex = percent(size, audioReverbMaxSize) * (audioReverbTimes.length-1) + .5 | 0;
+    if (!audioContext || enclosed == audioEnclosed && reverbIndex == audioReverbIndex)
+    {
+        audioEnclosed = enclosed;
+        return;
+    }
+
+    // fade to the new environment so walking through a door is smooth
+    const time = audioContext.currentTime;
+    audioReverbSend.gain.setTargetAtTime(enclosed * audioReverbVolume, time, .2);
+    audioAmbienceFilter.frequency.setTargetAtTime(lerp(enclosed, audioIndoorFrequency, zzfxR/2), time, .2);
+    if (reverbIndex != audioReverbIndex)
+        audioReverb.buffer = audioReverbImpulses[reverbIndex] || (audioReverbImpulses[reverbIndex] = audioMakeImpulse(audioReverbTimes[reverbIndex]));
+    audioEnclosed = enclosed;
+    audioReverbIndex = reverbIndex;
+}
+
+// stereo noise that decays over the reverb time
+function audioMakeImpulse(seconds)
+{
+    const length = seconds * zzfxR | 0, buffer = audioContext.createBuffer(2, length, zzfxR);
+    for(let channel = 2; channel--;)
+    {
+        const samples = buffer.getChannelData(channel);
+        for(let i = length; i--;)
+            samples[i] = (Math.random()*2 - 1) * (1 - i/length)**4;
+    }
+    return buffer;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// music manager
+
+// a track is a list of zzfxm songs with the same length that play together
+// the first song always plays, the others are layers that fade in as intensity rises
+const musicCrossfadeTime = 2; // seconds to fade from one track to the next
+const musicLayerFadeTime = 1; // seconds for layers to follow the intensity
+const musicRenderMS = 4;      // time spent rendering songs each frame
+let musicPlaylist = [], musicPlaylistIndex = 0, musicIntensity = 0, musicTrack, musicPaused = 0;
+const musicRenders = new Map; // song to its renderer, then its samples, then its audio buffer
+
+// play tracks in order fading from each to the next, a playlist with one track loops it
+// the playing track keeps going if it is first in the new playlist
+function musicPlayPlaylist(tracks)
+{
+    musicPlaylist = tracks;
+    musicPlaylistIndex = 0;
+}
+
+const musicPlay = (track)=> musicPlayPlaylist([track]);
+const musicStop = ()=> musicPlayPlaylist([]);
+const musicSetIntensity = (intensity)=> musicIntensity = clamp(intensity);
+
+// split a song into a track, layers are lists of channel indexes like [[0,1], [2], [3]]
+const musicMakeTrack = ([instruments, patterns, sequence, BPM], layers)=> layers.map((channels)=>
+    [instruments, patterns.map((pattern)=> channels.map((channel)=> pattern[channel])), sequence, BPM]);
+
+// called by the engine each render frame, even while paused
+function musicUpdate()
+{
+    if (!soundEnable || headless)
+        return;
+
+    // render the current and next tracks a little at a time, forget the rest
+    const track = musicPlaylist[musicPlaylistIndex];
+    const nextIndex = (musicPlaylistIndex + 1) % musicPlaylist.length;
+    const songs = [...(track || []), ...(musicPlaylist[nextIndex] || []), ...(musicTrack ? musicTrack.songs : [])];
+    for(const song of musicRenders.keys())
+        songs.includes(song) || musicRenders.delete(song);
+    const renderStartMS = performance.now();
+    for(const song of songs)
+    {
+        let render = musicRenders.get(song) || zzfxMRender(...song);
+        for(let step; render.next && performance.now() - renderStartMS < musicRenderMS;)
+            (step = render.next()).done && (render = step.value.map((samples)=> new Float32Array(samples)));
+        musicRenders.set(song, render);
+    }
+
+    // browsers only allow audio after input
+    if (!hadInput)
+        return;
+    audioInitContext();
+    if (musicPaused != paused)
+        (musicPaused = paused) ? audioContext.suspend() : audioContext.resume();
+
+    // fade to the track once it is rendered and move along the playlist as tracks end
+    const time = audioContext.currentTime;
+    if (!track)
+        musicTrack && musicFadeTo();
+    else if (!musicTrack || musicTrack.songs != track)
+        track.every((song)=> !musicRenders.get(song).next) && musicFadeTo(track);
+    else if (musicPlaylist.length > 1 && time > musicTrack.endTime - musicCrossfadeTime)
+        musicPlaylistIndex = nextIndex;
+
+    if (!musicTrack)
+        return;
+
+    // layers fade in one after another as intensity goes up
+    const layerCount = musicTrack.layerGains.length - 1;
+    musicTrack.layerGains.forEach((layerGain, i)=>
+    {
+        const volume = i ? clamp(musicIntensity*layerCount - i + 1) : 1;
+        volume == layerGain.volume || layerGain.gain.setTargetAtTime(layerGain.volume = volume, time, musicLayerFadeTime/3);
+    });
+}
+
+// crossfade from the playing track, or fade out when there are no songs
+function musicFadeTo(songs)
+{
+    const time = audioContext.currentTime, fadeEndTime = time + musicCrossfadeTime;
+    if (musicTrack)
+    {
+        const gain = musicTrack.gain.gain;
+        gain.setValueAtTime(gain.value, time);
+        gain.linearRampToValueAtTime(0, fadeEndTime);
+        musicTrack.sources.forEach((source)=> source.stop(fadeEndTime));
+        musicTrack = 0;
+    }
+    if (!songs)
+        return;
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(1, fadeEndTime);
+    gain.connect(audioBusNodes.music);
+
+    // layers start silent, they loop in case the next track is not rendered when this one ends
+    const sources = [], layerGains = songs.map((song)=>
+    {
+        let buffer = musicRenders.get(song);
+        if (!buffer.getChannelData)
+        {
+            // keep only the audio buffer once the samples are copied in
+            const channels = buffer;
+            buffer = audioContext.createBuffer(channels.length, channels[0].length, zzfxR);
+            channels.map((samples, i)=> buffer.getChannelData(i).set(samples));
+            musicRenders.set(song, buffer);
+        }
+        const source = audioContext.createBufferSource(), layerGain = audioContext.createGain();
+        layerGain.gain.value = 0;
+        layerGain.connect(gain);
+        source.buffer = buffer;
+        source.loop = 1;
+        source.connect(layerGain);
+        source.start(time);
+        sources.push(source);
+        return layerGain;
+    });
+    musicTrack = {songs, gain, layerGains, sources, endTime:time + sources[0].buffer.duration};
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // speak text with passed in settings
 function speak(text, language='', volume=1, rate=1, pitch=1)
@@ -58,7 +341,7 @@ function speak(text, language='', volume=1, rate=1, pitch=1)
     // build utterance and speak
     const utterance = new SpeechSynthesisUtterance(text);
     utterance.lang = language;
-    utterance.volume = volume*audioVolume*3;
+    utterance.volume = clamp(volume*audioVolume*3*audioGetVolume('voice')*audioGetVolume('master'));
     utterance.rate = rate;
     utterance.pitch = pitch;
     speechSynthesis.speak(utterance);
@@ -70,7 +353,54 @@ const stopSpeech = ()=> speechSynthesis && speechSynthesis.cancel();
 // ZzFXMicro - Zuper Zmall Zound Zynth - v1.1.8 by Frank Force
 
 const zzfxR = 44100; // sample rate
-function zzfx(
+
+// generate and play a sound, waits for user input to create the audio context
+function zzfx(...zzfxSound)
+{
+    if (!soundEnable || !hadInput) return;
+    return zzfxP([zzfxG(...zzfxSound)]);
+}
+
+// play channels of samples on a mixer bus, one channel for mono or left and right for stereo
+// an optional low pass frequency muffles the sound
+function zzfxP(channels, bus='sfx', pan=0, lowPass=0)
+{
+    audioInitContext();
+
+    // create buffer and source
+    const buffer = audioContext.createBuffer(channels.length, channels[0].length, zzfxR), 
+        source = audioContext.createBufferSource();
+
+    // copy samples to buffer and play through a panner
+    channels.map((samples, i)=> buffer.getChannelData(i).set(samples));
+    const panner = audioContext.createStereoPanner();
+    panner.pan.value = pan;
+    panner.connect(audioBusNodes[bus]);
+    source.buffer = buffer;
+    if (lowPass)
+    {
+        const filter = audioContext.createBiquadFilter();
+        filter.frequency.value = lowPass;
+        filter.connect(panner);
+        source.connect(filter);
+    }
+    else
+        source.connect(panner);
+    source.start();
+    return source;
+}
+
+// generate samples for a sound
+function zzfxG(...zzfxSound)
+{
+    const render = zzfxGRender(...zzfxSound);
+    let step;
+    while (!(step = render.next()).done);
+    return step.value;
+}
+
+// generator that makes a sound's samples a few thousand at a time and returns them when done
+function* zzfxGRender(
     // parameters
     volume = 1, randomness = .05, frequency = 220, attack = 0, sustain = 0,
     release = .1, shape = 0, shapeCurve = 1, slide = 0, deltaSlide = 0,
@@ -78,9 +408,6 @@ function zzfx(
     bitCrush = 0, delay = 0, sustainVolume = 1, decay = 0, tremolo = 0
 )
 {
-    // wait for user input to create audio context
-    if (!soundEnable || !hadInput) return;
-
     // init parameters
     let PI2 = PI*2, sign = v => v>0?1:-1,
         startSlide = slide *= 500 * PI2 / zzfxR / zzfxR, b=[],
@@ -149,33 +476,30 @@ function zzfx(
             slide = startSlide;             // reset slide
             j = j || 1;                     // reset pitch jump time
         }
-    }
-    
-    // create audio context
-    if (!audioContext)
-        audioContext = new (window.AudioContext||webkitAudioContext);
 
-    // create buffer and source
-    const buffer = audioContext.createBuffer(1, b.length, zzfxR), 
-        source = audioContext.createBufferSource();
+        i % 4096 || (yield);
+    }
 
-    // copy samples to buffer and play
-    buffer.getChannelData(0).set(b);
-    source.buffer = buffer;
-    source.connect(audioContext.destination);
-    source.start();
-    return source;
+    return b;
 }
 
 ///////////////////////////////////////////////////////////////////////////////
 // ZzFX Music Renderer v2.0.3 by Keith Clark and Frank Force
+// split into steps so songs can be rendered a little at a time
 
-///////////////////////////////////////////////////////////////////////////////
-// ZzFX Music Renderer v2.0.3 by Keith Clark and Frank Force
-
-function zzfxM(instruments, patterns, sequence, BPM = 125) 
+// render a whole song at once, returns [leftChannel, rightChannel]
+function zzfxM(...song)
 {
     if (!soundEnable) return;
+    const render = zzfxMRender(...song);
+    let step;
+    while (!(step = render.next()).done);
+    return step.value;
+}
+
+// generator that renders a song one beat each step and returns the channels when done
+function* zzfxMRender(instruments, patterns, sequence, BPM = 125) 
+{
     let instrumentParameters;
     let i;
     let j;
@@ -208,7 +532,7 @@ function zzfxM(instruments, patterns, sequence, BPM = 125)
         sampleBuffer = [hasMore = notFirstBeat = pitch = outSampleOffset = 0];
 
         // for each pattern in sequence
-        sequence.map((patternIndex, sequenceIndex) => {
+        for(const [sequenceIndex, patternIndex] of sequence.entries()) {
             // get pattern for current channel, use empty 1 note pattern if none found
             patternChannel = patterns[patternIndex][channelIndex] || [0, 0, 0];
 
@@ -239,6 +563,7 @@ function zzfxM(instruments, patterns, sequence, BPM = 125)
                     leftChannelBuffer[k] = (leftChannelBuffer[k] || 0) - sample * panning + sample;
                     rightChannelBuffer[k] = (rightChannelBuffer[k++] || 0) + sample * panning + sample;
                 }
+                notFirstBeat && (yield);
 
                 // set up for next note
                 if (note) {
@@ -258,7 +583,7 @@ function zzfxM(instruments, patterns, sequence, BPM = 125)
                                 instrumentParameters[2] *= 2 ** ((note - 12) / 12),
 
                                 // allow negative values to stop notes
-                                note > 0 ? zzfxG(...instrumentParameters) : []
+                                note > 0 ? yield* zzfxGRender(...instrumentParameters) : []
                         );
                     }
                 }
@@ -266,7 +591,7 @@ function zzfxM(instruments, patterns, sequence, BPM = 125)
 
             // update the sample offset
             outSampleOffset = nextSampleOffset;
-        });
+        }
     }
 
     return [leftChannelBuffer, rightChannelBuffer];
@@ -0,0 +1,74 @@
+/*
+    LittleJS Camera Effects
+    - Trauma based screen shake, trauma decays and the shake grows with its square
+    - Shake only moves the view while rendering so it never changes gameplay
+    - Follow a target with a dead zone and look ahead in the direction it faces
+    - Smooth zoom toward a target scale
+    - Scripted pans through points for things like level intros
+    - Shake can be turned off for accessibility
+*/
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+let cameraShakeEnable = 1;                  // turn off for accessibility
+const cameraShakeMaxOffset = .6;            // how far the view moves at full trauma
+const cameraTraumaDecay = 1.5;              // trauma lost per second
+const cameraTraumaRange = 20;               // events further away than this add no trauma
+const cameraDeadZone = vec2(1.5, 1);        // how far the target can move from center before following
+const cameraLookAheadDistance = 2;          // how far ahead of the target to look
+const cameraZoomRate = .05;                 // how fast to approach the target scale
+
+let cameraTrauma = 0, cameraLookAhead = vec2(), cameraTargetScale = 0, cameraPanPoints = [];
+
+// add trauma from 0 to 1, if a position is passed events further from the camera add less
+function cameraAddTrauma(amount, pos)
+{
+    pos && (amount *= percent(pos.distance(cameraPos), cameraTraumaRange/5, cameraTraumaRange));
+    cameraTrauma = clamp(cameraTrauma + amount);
+}
+
+// move toward a target when it leaves the dead zone, direction is the way it faces
+function cameraFollow(pos, direction=0, rate=.1)
+{
+    if (cameraPanPoints.length)
+        return; // scripted pans take over
+
+    cameraLookAhead = cameraLookAhead.lerp(vec2(direction*cameraLookAheadDistance, 0), .03);
+    const delta = pos.add(cameraLookAhead).subtract(cameraPos);
+    const outside = (d, size)=> abs(d) > size ? d - sign(d)*size : 0;
+    cameraPos = cameraPos.add(vec2(outside(delta.x, cameraDeadZone.x), outside(delta.y, cameraDeadZone.y)).scale(rate));
+}
+
+// smoothly zoom to a scale, 0 stops zooming
+function cameraZoom(scale=0) { cameraTargetScale = scale; }
+
+// pan from wherever the camera is to a position and scale, pans play one after another
+function cameraPan(pos, duration=1, scale=cameraScale) { cameraPanPoints.push({pos, duration, scale, time:0}); }
+
+// called by the engine after appUpdatePost()
+function cameraUpdate()
+{
+    cameraTrauma = max(cameraTrauma - cameraTraumaDecay*timeDelta, 0);
+    if (cameraTargetScale)
+        cameraScale = lerp(cameraZoomRate, cameraTargetScale, cameraScale);
+
+    const pan = cameraPanPoints[0];
+    if (!pan)
+        return;
+
+    // ease in and out from where the pan started
+    pan.start || (pan.start = cameraPos.copy(), pan.startScale = cameraScale);
+    const p = percent(pan.time += timeDelta, pan.duration), s = p*p*(3-2*p);
+    cameraPos = pan.start.lerp(pan.pos, s);
+    cameraScale = lerp(s, pan.scale, pan.startScale);
+    p == 1 && cameraPanPoints.shift();
+}
+
+// how far the view is moved by shake this frame
+function cameraGetShake()
+{
+    const shake = cameraShakeEnable ? cameraTrauma**2 * cameraShakeMaxOffset / 2 : 0;
+    return vec2(Math.sin(time*53) + Math.sin(time*31.7), Math.sin(time*47.3) + Math.sin(time*23.9)).scale(shake);
+}
@@ -6,6 +6,8 @@
     - debug rendering
     - debug controls
     - save snapshot
+    - particle editor for the particle presets
+    - sound designer for the sound bank
 */
 
 'use strict';
@@ -93,11 +95,13 @@ const debugUpdate = ()=>
     }
     if (keyWasPressed(54)) // 6
     {
-        //debugToggleParticleEditor();
-        //debugPhysics = debugParticles = 0;
+        debugToggleParticleEditor();
+        debugPhysics = debugParticles = 0;
     }
+    debugUpdateParticleEditor();
     if (keyWasPressed(55)) // 7
     {
+        debugToggleSoundDesigner();
     }
     if (keyWasPressed(56)) // 8
     {
@@ -159,10 +163,16 @@ const debugRender = ()=>
         
         if (bestObject)
         {
-            const raycastHitPos = tileCollisionRaycast(bestObject.pos, mousePosWorld);
-            raycastHitPos && drawRect(raycastHitPos.int().add(vec2(.5)), vec2(1), new Color(0,1,1,.3));
+            const raycastHit = tileCollisionRaycast(bestObject.pos, mousePosWorld);
             drawRect(mousePosWorld.int().add(vec2(.5)), vec2(1), new Color(0,0,1,.5));
-            drawLine(mousePosWorld, bestObject.pos, .1, !raycastHitPos ? new Color(0,1,0,.5) : new Color(1,0,0,.5));
+            drawLine(mousePosWorld, bestObject.pos, .1, !raycastHit ? new Color(0,1,0,.5) : new Color(1,0,0,.5));
+            if (raycastHit)
+            {
+                // show hit tile, hit point and surface normal
+                drawRect(raycastHit.tilePos.add(vec2(.5)), vec2(1), new Color(0,1,1,.3));
+                drawRect(raycastHit.pos, vec2(.2), new Color(1,1,0));
+                drawLine(raycastHit.pos, raycastHit.pos.add(raycastHit.normal), .05, new Color(1,1,0));
+            }
 
             let pos = mousePosWorld.copy(), height = vec2(0,.5);
             const printVec2 = (v)=> '(' + (v.x>0?' ':'') + (v.x).toFixed(2) + ',' + (v.y>0?' ':'')  + (v.y).toFixed(2) + ')';
@@ -247,8 +257,10 @@ const debugRender = ()=>
             mainContext.fillText('3: God Mode', x, y += h);
             mainContext.fillStyle = '#fff';
             mainContext.fillText('5: Save Screenshot', x, y += h);
-            //mainContext.fillStyle = debugParticleEditor ? '#f00' : '#fff';
-            //mainContext.fillText('6: Particle Editor', x, y += h);
+            mainContext.fillStyle = debugParticleEditor ? '#f00' : '#fff';
+            mainContext.fillText('6: Particle Editor', x, y += h);
+            mainContext.fillStyle = debugSoundDesigner ? '#f00' : '#fff';
+            mainContext.fillText('7: Sound Designer', x, y += h);
         }
         else
         {
@@ -264,190 +276,269 @@ const debugRender = ()=>
 }
 
 ///////////////////////////////////////////////////////////////////////////////
-// particle system editor
-let debugParticleEditor = 0, debugParticleSystem, debugParticleSystemDiv, particleSystemCode;
+// particle editor
+let debugParticleEditor = 0, debugParticleSystem, debugParticleEditorDiv, debugParticlePreset;
+const debugParticlePresetsName = 'particlePresetData'; // the preset declaration saving replaces
 
-const debugToggleParticleEditor = ()=>
-{
-    debugParticleEditor = !debugParticleEditor;
+// objects are written with a space after each key and comma like the game code, arrays stay compact
+const debugExportValue = (value)=> value && value.constructor == Object ?
+    '{' + Object.keys(value).map((key)=> JSON.stringify(key) + ': ' + debugExportValue(value[key])).join(', ') + '}' :
+    JSON.stringify(value);
 
-    if (debugParticleEditor)
-    {
-        if (!debugParticleSystem || debugParticleSystem.destroyed)
-            debugParticleSystem = new ParticleEmitter(cameraPos);
-    }
-    else if (debugParticleSystem && !debugParticleSystem.destroyed)
-        debugParticleSystem.destroy();
+// json with one entry per line, the same layout presets and sound banks are written in
+const debugExportJSON = (data)=> '{\n' + Object.keys(data).map((name)=>
+    '    ' + JSON.stringify(name) + ': ' + debugExportValue(data[name])).join(',\n') + '\n}';
 
+// a declaration to paste over the one in the game code, like const soundBankData = {...};
+const debugExportCode = (name, data)=> 'const ' + name + ' =\n' + debugExportJSON(data) + ';\n';
 
-    const colorToHex = (color)=>
-    {
-        const componentToHex = (c)=>
-        {
-            const hex = (c*255|0).toString(16);
-            return hex.length == 1 ? "0" + hex : hex;
-        }
-
-        return "#" + componentToHex(color.r) + componentToHex(color.g) + componentToHex(color.b);
-    }
-    const hexToColor = (hex)=>
-    {
-        return new Color(
-            parseInt(hex.substr(1,2), 16)/255,
-            parseInt(hex.substr(3,2), 16)/255,
-            parseInt(hex.substr(5,2), 16)/255)
-    }
+const debugToggleParticleEditor = ()=>
+{
+    debugParticleEditor = !debugParticleEditor;
+    debugParticleSystem && debugParticleSystem.destroy();
 
-    if (!debugParticleSystemDiv)
+    if (!debugParticleEditorDiv)
     {
-        const div = debugParticleSystemDiv = document.createElement('div');
+        const div = debugParticleEditorDiv = document.createElement('div');
         div.innerHTML = '<big><b>Particle Editor';
         div.style = 'position:absolute;top:10;left:10;color:#fff';
         document.body.appendChild(div);
 
-        for( const setting of debugParticleSettings)
+        // pick which preset to edit
+        const select = document.createElement('select');
+        for(const name in particlePresets)
+            select.add(new Option(name));
+        div.appendChild(document.createElement('br'));
+        div.appendChild(select);
+
+        // colors get a picker and an alpha slider, vectors get a slider for x and y
+        const inputs = debugParticleSettings.map(([name, min=0, max=1, step=.01])=>
         {
-            const input = setting[2] = document.createElement('input');
-            const name = setting[0];
-            const type = setting[1];
-            if (type)
+            const value = particleSettingToJSON(particleEmitterDefaults[name]);
+            const isColor = value && value.length == 4, isVector = value && value.length == 2;
+            const sliders = [...Array(isVector ? 2 : 1)].map(()=>
             {
-                if (type == 'color')
-                {
-                    input.type = type;
-                    const color = debugParticleSystem[name];
-                    input.value = colorToHex(color);
-                }
-                else if (type == 'alpha' && name == 'colorStartAlpha')
-                    input.value = debugParticleSystem.colorStartA.a;
-                else if (type == 'alpha' && name == 'colorEndAlpha')
-                    input.value = debugParticleSystem.colorEndA.a;
-                else if (name == 'tileSizeX')
-                    input.value = debugParticleSystem.tileSize.x;
-                else if (name == 'tileSizeY')
-                    input.value = debugParticleSystem.tileSize.y;
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = isColor ? 0 : min;
+                slider.max = isColor ? 1 : max;
+                slider.step = isColor ? .01 : step;
+                return slider;
+            });
+            const picker = isColor && document.createElement('input');
+            picker && (picker.type = 'color');
+            const label = document.createTextNode('');
+
+            // read the inputs back as json, left out if it matches the default
+            const onchange = ()=>
+            {
+                const preset = particlePresets[debugParticlePreset];
+                const newValue = isColor ? [...[1, 3, 5].map((i)=> parseInt(picker.value.substr(i, 2), 16)/255), parseFloat(sliders[0].value)] :
+                    isVector ? sliders.map((slider)=> parseFloat(slider.value)) : parseFloat(sliders[0].value);
+                JSON.stringify(newValue) == JSON.stringify(value) ? delete preset[name] : preset[name] = newValue;
+                debugParticleSystem.applySettings({...particleEmitterDefaults, ...preset});
+                label.nodeValue = ' ' + name + ' ' + newValue;
             }
-            else
-                input.value = debugParticleSystem[name] || '0';
+            picker && (picker.oninput = onchange);
+            sliders.forEach((slider)=> slider.oninput = onchange);
+
+            div.appendChild(document.createElement('br'));
+            picker && div.appendChild(picker);
+            sliders.forEach((slider)=> div.appendChild(slider));
+            div.appendChild(label);
+            return {name, isColor, isVector, sliders, picker, label};
+        });
 
-            input.oninput = (e)=>
+        // start an emitter from the preset and load its settings into the inputs
+        (select.onchange = ()=>
+        {
+            debugParticlePreset = select.value;
+            debugParticleSystem && debugParticleSystem.destroy();
+            debugUpdateParticleEditor();
+            for(const {name, isColor, isVector, sliders, picker, label} of inputs)
             {
-                const inputFloat = parseFloat(input.value) || 0;
-                if (type)
+                const value = particleSettingToJSON(debugParticleSystem[name]);
+                if (isColor)
                 {
-                    if (type == 'color')
-                    {
-                        const color = hexToColor(input.value);
-                        debugParticleSystem[name].r = color.r;
-                        debugParticleSystem[name].g = color.g;
-                        debugParticleSystem[name].b = color.b;
-                    }
-                    else if (type == 'alpha' && name == 'colorStartAlpha')
-                    {
-                        debugParticleSystem.colorStartA.a = clamp(inputFloat);
-                        debugParticleSystem.colorStartB.a = clamp(inputFloat);
-                    }
-                    else if (type == 'alpha' && name == 'colorEndAlpha')
-                    {
-                        debugParticleSystem.colorEndA.a = clamp(inputFloat);
-                        debugParticleSystem.colorEndB.a = clamp(inputFloat);
-                    }
-                    else if (name == 'tileSizeX')
-                    {
-                        debugParticleSystem.tileSize = vec2(parseInt(input.value), debugParticleSystem.tileSize.y);
-                    }
-                    else if (name == 'tileSizeY')
-                    {
-                        debugParticleSystem.tileSize.y = vec2(debugParticleSystem.tileSize.x, parseInt(input.value));
-                    }
+                    picker.value = '#' + value.slice(0, 3).map((c)=> (c*255|0).toString(16).padStart(2, 0)).join('');
+                    sliders[0].value = value[3];
                 }
                 else
-                    debugParticleSystem[name] = inputFloat;
-
-                updateCode();
+                    sliders.forEach((slider, i)=> slider.value = isVector ? value[i] : value);
+                label.nodeValue = ' ' + name + ' ' + value;
             }
-            div.appendChild(document.createElement('br'));
-            div.appendChild(input);
-            div.appendChild(document.createTextNode(' ' + name));
-        }
+        })();
 
         div.appendChild(document.createElement('br'));
-        div.appendChild(document.createElement('br'));
-        div.appendChild(particleSystemCode = document.createElement('input'));
-        particleSystemCode.disabled = true;
-        div.appendChild(document.createTextNode(' code'));
+        const buttons = [
+            ['Copy To Clipboard', ()=> navigator.clipboard.writeText(JSON.stringify(debugParticlePreset) + ': ' + debugExportValue(particlePresets[debugParticlePreset]))],
+            ['Save', ()=> saveDownload(debugExportCode(debugParticlePresetsName, particlePresets), debugParticlePresetsName + '.js')]];
+        for(const [text, onclick] of buttons)
+        {
+            const button = document.createElement('button');
+            button.innerHTML = text;
+            button.onclick = onclick;
+            div.appendChild(button);
+        }
+    }
+    debugParticleEditorDiv.style.display = debugParticleEditor ? '' : 'none'
+}
+
+// keep the preset's emitter at the mouse, it starts again when its emit time is up
+const debugUpdateParticleEditor = ()=>
+{
+    if (!debugParticleEditor)
+        return;
 
+    if (!debugParticleSystem || debugParticleSystem.destroyed)
+        debugParticleSystem = new ParticleEmitter(mousePosWorld, particlePresets[debugParticlePreset]);
+    debugParticleSystem.pos = mousePosWorld.copy();
+}
+
+// slider min, max and step for each emitter setting, colors do not need them
+const debugParticleSettings = 
+[
+    ['emitSize', 0, 10, .1],
+    ['emitTime', 0, 3],
+    ['emitRate', 0, 1e3, 1],
+    ['emitConeAngle', 0, PI],
+    ['tileIndex', -1, 64, 1],
+    ['tileSize', 1, 64, 1],
+    ['colorStartA'],
+    ['colorStartB'],
+    ['colorEndA'],
+    ['colorEndB'],
+    ['particleTime', 0, 5],
+    ['sizeStart', 0, 5],
+    ['sizeEnd', 0, 5],
+    ['speed', 0, 1],
+    ['angleSpeed', 0, 1],
+    ['damping', 0, 1],
+    ['angleDamping', 0, 1],
+    ['gravityScale', -1, 1],
+    ['particleConeAngle', 0, PI],
+    ['fadeRate', 0, 1],
+    ['randomness', 0, 1],
+    ['collideTiles', 0, 1, 1],
+    ['additive', 0, 1, 1],
+    ['randomColorLinear', 0, 1, 1],
+    ['renderOrder', -1e9, 1e9, 1e8],
+    ['elasticity', 0, 1],
+    ['trailScale', 0, 5],
+    ['lightRadius', 0, 20, .1],
+    ['lightColor'],
+];
+
+///////////////////////////////////////////////////////////////////////////////
+// sound designer
+let debugSoundDesigner = 0, debugSoundDesignerDiv;
+const debugSoundBankName = 'soundBankData'; // the sound bank declaration the download replaces
+
+const debugToggleSoundDesigner = ()=>
+{
+    debugSoundDesigner = !debugSoundDesigner;
+
+    if (!debugSoundDesignerDiv)
+    {
+        const div = debugSoundDesignerDiv = document.createElement('div');
+        div.innerHTML = '<big><b>Sound Designer';
+        div.style = 'position:absolute;top:10;right:10;color:#fff';
+        document.body.appendChild(div);
+
+        // pick which sound in the bank to edit
+        const select = document.createElement('select');
+        for(const name in soundBank)
+            select.add(new Option(name));
         div.appendChild(document.createElement('br'));
-        const button = document.createElement('button')
-        div.appendChild(button);
-        button.innerHTML = 'Copy To Clipboard';
-        
-        button.onclick = (e)=> navigator.clipboard.writeText(particleSystemCode.value); 
+        div.appendChild(select);
 
-        const updateCode = ()=>
+        // sliders set each parameter and the box next to it sets how much it varies
+        const preview = ()=> zzfx(...soundVary(soundBankSounds[select.value]));
+        const settings = zzfxParamNames.map((param, i)=>
         {
-            let code = '';
-            let count = 0;
-            for( const setting of debugParticleSettings)
+            const [min, max, step] = debugSoundSettings[i];
+            const slider = document.createElement('input'), vary = document.createElement('input');
+            const label = document.createTextNode('');
+            slider.type = 'range';
+            slider.min = min;
+            slider.max = max;
+            slider.step = step;
+            vary.type = 'number';
+            vary.min = 0;
+            vary.step = step;
+            vary.style.width = '60px';
+
+            slider.oninput = vary.oninput = ()=>
             {
-                const name = setting[0];
-                const type = setting[1];
-                let value;
-                if (name == 'tileSizeX' || type == 'alpha')
-                    continue;
+                // leave out defaults and empty variation so the bank stays short
+                const entry = soundBank[select.value];
+                const value = parseFloat(slider.value), range = parseFloat(vary.value) || 0;
+                value == zzfxParamDefaults[i] ? delete entry[param] : entry[param] = value;
+                entry.vary = entry.vary || {};
+                range ? entry.vary[param] = range : delete entry.vary[param];
+                Object.keys(entry.vary).length || delete entry.vary;
+                label.nodeValue = ' ' + param + ' ' + value;
+                soundBankUpdate(select.value);
+            }
+            slider.onchange = vary.onchange = preview;
 
-                if (count++)
-                    code += ', ';
+            div.appendChild(document.createElement('br'));
+            div.appendChild(slider);
+            div.appendChild(vary);
+            div.appendChild(label);
+            return [slider, vary, label];
+        });
 
-                if (name == 'tileSizeY')
-                {
-                    value = `vec2(${debugParticleSystem.tileSize.x},${debugParticleSystem.tileSize.y})`;
-                }
-                else if (type == 'color')
-                {
-                    const c = debugParticleSystem[name];
-                    value = `new Color(${c.r},${c.g},${c.b},${c.a})`;
-                }
-                else
-                    value = debugParticleSystem[name];
-                code += value;
-            }
+        // load the sound's parameters into the sliders
+        (select.onchange = ()=>
+        {
+            const entry = soundBank[select.value];
+            settings.forEach(([slider, vary, label], i)=>
+            {
+                const param = zzfxParamNames[i];
+                slider.value = param in entry ? entry[param] : zzfxParamDefaults[i];
+                vary.value = entry.vary && entry.vary[param] || 0;
+                label.nodeValue = ' ' + param + ' ' + slider.value;
+            });
+            preview();
+        })();
 
-            particleSystemCode.value = '...[' + code + ']';
+        div.appendChild(document.createElement('br'));
+        const buttons = [['Play', preview],
+            ['Copy To Clipboard', ()=> navigator.clipboard.writeText(debugExportJSON(soundBank))],
+            ['Download', ()=> saveDownload(debugExportCode(debugSoundBankName, soundBank), debugSoundBankName + '.js')]];
+        for(const [text, onclick] of buttons)
+        {
+            const button = document.createElement('button');
+            button.innerHTML = text;
+            button.onclick = onclick;
+            div.appendChild(button);
         }
-        updateCode();
     }
-    debugParticleSystemDiv.style.display = debugParticleEditor ? '' : 'none'
+    debugSoundDesignerDiv.style.display = debugSoundDesigner ? '' : 'none'
 }
 
-const debugParticleSettings = 
+// slider min, max and step for each zzfx parameter
+const debugSoundSettings = 
 [
-    ['emitSize'],
-    ['emitTime'],
-    ['emitRate'],
-    ['emitConeAngle'],
-    ['tileIndex'],
-    ['tileSizeX', 'tileSize'],
-    ['tileSizeY', 'tileSize'],
-    ['colorStartA', 'color'],
-    ['colorStartB', 'color'],
-    ['colorStartAlpha', 'alpha'],
-    ['colorEndA',   'color'],
-    ['colorEndB',   'color'],
-    ['colorEndAlpha', 'alpha'],
-    ['particleTime'],
-    ['sizeStart'],
-    ['sizeEnd'],
-    ['speed'],
-    ['angleSpeed'],
-    ['damping'],
-    ['angleDamping'],
-    ['gravityScale'],
-    ['particleConeAngle'],
-    ['fadeRate'],
-    ['randomness'],
-    ['collideTiles'],
-    ['additive'],
-    ['randomColorComponents'],
-    ['renderOrder'],
+    [0, 3, .01],        // volume
+    [0, 1, .01],        // randomness
+    [0, 2e3, 1],        // frequency
+    [0, 3, .01],        // attack
+    [0, 3, .01],        // sustain
+    [0, 3, .01],        // release
+    [0, 4, 1],          // shape
+    [0, 5, .01],        // shapeCurve
+    [-10, 10, .1],      // slide
+    [-10, 10, .1],      // deltaSlide
+    [-1200, 1200, 1],   // pitchJump
+    [0, 1, .01],        // pitchJumpTime
+    [0, 1, .01],        // repeatTime
+    [0, 100, .1],       // noise
+    [-100, 100, .1],    // modulation
+    [0, 1, .01],        // bitCrush
+    [0, .5, .01],       // delay
+    [0, 1, .01],        // sustainVolume
+    [0, 1, .01],        // decay
+    [0, 1, .01],        // tremolo
 ];
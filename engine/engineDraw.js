@@ -2,6 +2,8 @@
     LittleJS Drawing System
 
     - Super fast tile sheet rendering
+    - Named tile sheets and atlases with a rectangle for each sprite
+    - Sprites are batched until the texture changes
     - Utility functions for webgl
     - Adapted from Tiny-Canvas https://github.com/bitnenfer/tiny-canvas
 */
@@ -23,8 +25,33 @@ function drawTile(pos, size=vec2(1), tileIndex=-1, tileSize=defaultTileSize, col
         return;
         
     showWatermark && ++drawCount;
+    if (headless)
+    {
+        // nothing to draw to, record the draw call if requested
+        headlessDrawLog && headlessDrawLog.push({pos, size, tileIndex, tileSize, color, angle, mirror});
+        return;
+    }
+    
+    // find the sheet and pixel rectangle to draw from, number indexes are in the default sheet
+    let sheet = tileSheetDefault, sX, sY, sWidth = tileSize.x, sHeight = tileSize.y;
+    if (typeof tileIndex == 'string')
+    {
+        const sprite = getTileSprite(tileIndex, tileSize);
+        if (!sprite)
+            return; // sheet is not loaded
+        ({sheet, x:sX, y:sY, w:sWidth, h:sHeight} = sprite);
+    }
+    else if (tileIndex >= 0)
+    {
+        const cols = sheet.size.x / tileSize.x |0;
+        sX = (tileIndex%cols)*tileSize.x;
+        sY = (tileIndex/cols|0)*tileSize.y;
+    }
+
     if (glEnable)
     {
+        // untextured draws stay on the default texture
+        glSetTexture(sheet);
         if (tileIndex < 0)
         {
             // if negative tile index, force untextured
@@ -33,12 +60,10 @@ function drawTile(pos, size=vec2(1), tileIndex=-1, tileSize=defaultTileSize, col
         else
         {
             // calculate uvs and render
-            const cols = tileImage.width / tileSize.x |0;
-            const uvSizeX = tileSize.x * tileImageSizeInverse.x;
-            const uvSizeY = tileSize.y * tileImageSizeInverse.y;
-            const uvX = (tileIndex%cols)*uvSizeX, uvY = (tileIndex/cols|0)*uvSizeY;
+            const uvX = sX * sheet.sizeInverse.x, uvY = sY * sheet.sizeInverse.y;
             glDraw(pos.x, pos.y, size.x, size.y, angle, mirror, 
-                uvX, uvY, uvX + uvSizeX, uvY + uvSizeY, color.rgbaInt(), additiveColor.rgbaInt()); 
+                uvX, uvY, uvX + sWidth * sheet.sizeInverse.x, uvY + sHeight * sheet.sizeInverse.y, 
+                color.rgbaInt(), additiveColor.rgbaInt()); 
         }
     }
     else
@@ -54,14 +79,10 @@ function drawTile(pos, size=vec2(1), tileIndex=-1, tileSize=defaultTileSize, col
             }
             else
             {
-                // calculate uvs and render
-                const cols = tileImage.width / tileSize.x |0;
-                const sX = (tileIndex%cols)*tileSize.x   + tileBleedShrinkFix;
-                const sY = (tileIndex/cols|0)*tileSize.y + tileBleedShrinkFix;
-                const sWidth  = tileSize.x - 2*tileBleedShrinkFix;
-                const sHeight = tileSize.y - 2*tileBleedShrinkFix;
+                // shrink to prevent bleeding and render
                 context.globalAlpha = color.a; // only alpha is supported
-                context.drawImage(tileImage, sX, sY, sWidth, sHeight, -.5, -.5, 1, 1);
+                context.drawImage(sheet.image, sX + tileBleedShrinkFix, sY + tileBleedShrinkFix, 
+                    sWidth - 2*tileBleedShrinkFix, sHeight - 2*tileBleedShrinkFix, -.5, -.5, 1, 1);
             }
         });
     }
@@ -96,6 +117,8 @@ function drawLine(posA, posB, thickness=.1, color)
 // draw directly to the 2d canvas in world space (bipass webgl)
 function drawCanvas2D(pos, size, angle, mirror, drawFunction)
 {
+    if (headless) return;
+
     // create canvas transform from world space to screen space
     pos = worldToScreen(pos);
     size = size.scale(cameraScale);
@@ -110,6 +133,8 @@ function drawCanvas2D(pos, size, angle, mirror, drawFunction)
 // draw text in world space without canvas scaling because that messes up fonts
 function drawText(text, pos, size=1, color=new Color, lineWidth=0, lineColor=new Color(0,0,0), textAlign='center', font=defaultFont)
 {
+    if (headless) return;
+
     pos = worldToScreen(pos);
     mainContext.font = size*cameraScale + 'px '+ font;
     mainContext.textAlign = textAlign;
@@ -127,5 +152,76 @@ function drawText(text, pos, size=1, color=new Color, lineWidth=0, lineColor=new
 // enable additive or regular blend mode
 function setBlendMode(additive)
 {
+    if (headless) return;
     glEnable ? glSetBlendMode(additive) : mainContext.globalCompositeOperation = additive ? 'lighter' : 'source-over';
-}
\ No newline at end of file
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// tile sheets and atlases
+
+// sheets by name, the default sheet '' holds the engine tile image
+const tileSheets = {};
+let tileSheetDefault, tileSheetsLoading = [], tileSpriteCache = {};
+
+// load a named tile sheet, atlas sprites are pixel rectangles by name like {gun:[0,16,24,8]}
+// draw from it with a tile index of 'sheet:sprite', or 'sheet:3' to index a grid of tileSize
+// sheets loaded before engineInit are waited for behind a loading screen, loading again replaces the image
+function loadTileSheet(name, src, sprites={})
+{
+    const sheet = tileSheets[name] = tileSheets[name] || {name, sprites:{}};
+    Object.assign(sheet.sprites, sprites);
+    if (headless)
+        return Promise.resolve(sheet); // nothing is drawn so there is no image
+
+    const promise = new Promise((resolve)=>
+    {
+        const image = new Image;
+        image.onload = ()=>
+        {
+            sheet.image = image;
+            sheet.sizeInverse = vec2(1).divide(sheet.size = vec2(image.width, image.height));
+            tileSpriteCache = {};
+            glContext && glSetSheetTexture(sheet); // upload now if gl is already running
+            resolve(sheet);
+        };
+        image.onerror = ()=>
+        {
+            ASSERT(0, 'failed to load tile sheet ' + src);
+            resolve(sheet);
+        };
+        image.src = src;
+    });
+    tileSheetsLoading.push(promise);
+    return promise;
+}
+
+// get the sheet and pixel rectangle for a string tile index, returns undefined if not loaded
+function getTileSprite(tileIndex, tileSize=defaultTileSize)
+{
+    const key = tileIndex + ',' + tileSize.x + ',' + tileSize.y;
+    let sprite = tileSpriteCache[key];
+    if (sprite)
+        return sprite;
+
+    const [name, spriteName] = tileIndex.split(':');
+    const sheet = tileSheets[name];
+    ASSERT(sheet, 'unknown tile sheet ' + name);
+    if (!sheet || !sheet.image)
+        return;
+
+    const rect = sheet.sprites[spriteName];
+    if (rect)
+        sprite = {sheet, x:rect[0], y:rect[1], w:rect[2], h:rect[3]};
+    else
+    {
+        // grid index
+        ASSERT(spriteName >= 0, 'unknown sprite ' + tileIndex);
+        const cols = sheet.size.x / tileSize.x |0;
+        sprite = {sheet, x:(spriteName%cols)*tileSize.x, y:(spriteName/cols|0)*tileSize.y, w:tileSize.x, h:tileSize.y};
+    }
+    return tileSpriteCache[key] = sprite;
+}
+
+// progress of loading tile sheets from 0 to 1
+const getTileSheetsLoaded = ()=>
+    Object.values(tileSheets).filter((sheet)=> sheet.image).length / max(Object.keys(tileSheets).length, 1);
@@ -3,6 +3,8 @@
     - Tracks key down, pressed, and released
     - Also tracks mouse buttons, position, and wheel
     - Supports multiple gamepads
+    - Actions like jump are bound to keys, mouse buttons and gamepad buttons for each player
+    - Bindings can be changed and are saved to local storage
 */
 
 'use strict';
@@ -13,7 +15,7 @@
 const enableGamepads = 1;
 const enableTouchInput = 0;
 const copyGamepadDirectionToStick = 1;
-const copyWASDToDpad = 1;
+const copyWASDToDpad = 0; // off because WASD can be bound to actions
 
 // input for all devices including keyboard, mouse, and gamepad. (d=down, p=pressed, r=released)
 const inputData = [[]];
@@ -31,33 +33,90 @@ const mouseIsDown      = keyIsDown;
 const mouseWasPressed  = keyWasPressed;
 const mouseWasReleased = keyWasReleased;
 
-// handle input events
-onkeydown   = e=>
+// handle input events (there are no events when headless)
+if (!headless)
 {
-    if (debug && e.target != document.body) return;
-    e.repeat || (inputData[isUsingGamepad = 0][remapKeyCode(e.keyCode)] = {d:hadInput=1, p:1});
+    onkeydown   = e=>
+    {
+        if (debug && e.target != document.body) return;
+        e.repeat || (inputData[isUsingGamepad = 0][remapKeyCode(e.keyCode)] = {d:hadInput=1, p:1});
+    }
+    onkeyup     = e=>
+    {
+        if (debug && e.target != document.body) return;
+        const c = remapKeyCode(e.keyCode); inputData[0][c] && (inputData[0][c].d = 0, inputData[0][c].r = 1);
+    }
+    onmousedown = e=> (inputData[0][e.button] = {d:hadInput=1, p:1}, onmousemove(e));
+    onmouseup   = e=> inputData[0][e.button] && (inputData[0][e.button].d = 0, inputData[0][e.button].r = 1);
+    onmousemove = e=>
+    {
+        if (!mainCanvas)
+            return;
+
+        // convert mouse pos to canvas space
+        const rect = mainCanvas.getBoundingClientRect();
+        mousePosScreen.x = mainCanvasSize.x * percent(e.x, rect.right, rect.left);
+        mousePosScreen.y = mainCanvasSize.y * percent(e.y, rect.bottom, rect.top);
+    }
+    if(debug)
+        onwheel = e=> e.ctrlKey || (mouseWheel = sign(e.deltaY));
+    oncontextmenu = e=> !1; // prevent right click menu
 }
-onkeyup     = e=>
+const remapKeyCode = c=> copyWASDToDpad ? c==87?38 : c==83?40 : c==65?37 : c==68?39 : c : c;
+
+////////////////////////////////////////////////////////////////////
+// actions
+
+// each player has bindings for every action, keys are key codes or mouse buttons and buttons are on the player's gamepad
+// moving uses the left, right, up and down actions or the gamepad's left stick, the pause action is handled by the engine
+let inputBindings = [], inputDefaultBindings = [], inputBindingsSaveName, inputPauseWasDown;
+const actionIsDown      = (action, player=0)=> actionCheck(keyIsDown,      action, player);
+const actionWasPressed  = (action, player=0)=> actionCheck(keyWasPressed,  action, player);
+const actionWasReleased = (action, player=0)=> actionCheck(keyWasReleased, action, player);
+
+function actionCheck(check, action, player)
 {
-    if (debug && e.target != document.body) return;
-    const c = remapKeyCode(e.keyCode); inputData[0][c] && (inputData[0][c].d = 0, inputData[0][c].r = 1);
+    const binding = inputBindings[player] && inputBindings[player][action];
+    if (!binding)
+        return 0;
+    return binding.keys.some((key)=> check(key)) || player < gamepadCount && binding.buttons.some((button)=> check(button, player+1)) ? 1 : 0;
 }
-onmousedown = e=> (inputData[0][e.button] = {d:hadInput=1, p:1}, onmousemove(e));
-onmouseup   = e=> inputData[0][e.button] && (inputData[0][e.button].d = 0, inputData[0][e.button].r = 1);
-onmousemove = e=>
+
+// direction from held actions, or the gamepad stick when none are held
+function actionMove(player=0)
 {
-    if (!mainCanvas)
-        return;
+    const move = vec2(actionIsDown('right', player) - actionIsDown('left', player), actionIsDown('up', player) - actionIsDown('down', player));
+    return move.x || move.y ? move : gamepadStick(0, player).copy();
+}
 
-    // convert mouse pos to canvas space
-    const rect = mainCanvas.getBoundingClientRect();
-    mousePosScreen.x = mainCanvasSize.x * percent(e.x, rect.right, rect.left);
-    mousePosScreen.y = mainCanvasSize.y * percent(e.y, rect.bottom, rect.top);
+// set the default bindings for each player like [{jump:{keys:[38], buttons:[0]}}], saved changes are loaded over them
+function inputInitBindings(defaults, saveName)
+{
+    inputDefaultBindings = defaults;
+    inputBindingsSaveName = saveName;
+    const saved = !headless && localStorage[saveName] && JSON.parse(localStorage[saveName]);
+    inputBindings = defaults.map((bindings, player)=> JSON.parse(JSON.stringify({...bindings, ...(saved && saved[player])})));
+}
+
+const inputSaveBindings = ()=> headless || (localStorage[inputBindingsSaveName] = JSON.stringify(inputBindings));
+function inputResetBindings()
+{
+    inputBindings = JSON.parse(JSON.stringify(inputDefaultBindings));
+    inputSaveBindings();
+}
+
+// readable name of a key code or mouse button
+const inputKeyName = (key)=> ['Mouse Left', 'Mouse Middle', 'Mouse Right'][key] ||
+    {8:'Backspace', 9:'Tab', 13:'Enter', 16:'Shift', 17:'Ctrl', 18:'Alt', 27:'Esc', 32:'Space',
+        37:'Left', 38:'Up', 39:'Right', 40:'Down'}[key] || (key >= 112 && key <= 123 ? 'F' + (key - 111) : String.fromCharCode(key));
+
+// called by the engine each render frame so pause works while paused
+function inputUpdatePause()
+{
+    const down = !engineObjectsFrozen && actionIsDown('pause'); // editors and menus use the keys themselves
+    down && !inputPauseWasDown && (paused = !paused);
+    inputPauseWasDown = down;
 }
-if(debug)
-    onwheel = e=> e.ctrlKey || (mouseWheel = sign(e.deltaY));
-oncontextmenu = e=> !1; // prevent right click menu
-const remapKeyCode = c=> copyWASDToDpad ? c==87?38 : c==83?40 : c==65?37 : c==68?39 : c : c;
 
 ////////////////////////////////////////////////////////////////////
 // gamepad
@@ -71,7 +130,7 @@ const gamepadWasReleased = (button, gamepad=0)=> gamepad < gamepadCount ? keyWas
 
 function updateGamepads()
 {
-    if (!navigator.getGamepads || !enableGamepads)
+    if (headless || !navigator.getGamepads || !enableGamepads)
         return;
 
     if (!document.hasFocus() && !debug)
@@ -108,8 +167,13 @@ function updateGamepads()
                     data.stickData[0] = vec2(gamepadIsDown(15,i) - gamepadIsDown(14,i), gamepadIsDown(12,i) - gamepadIsDown(13,i));
             }
 
+            // the right stick is used for aiming
+            if (gamepad.axes.length >= 4)
+                data.stickData[1] = vec2(applyDeadZone(gamepad.axes[2]), applyDeadZone(-gamepad.axes[3]));
+
             // clamp stick input to unit vector
             data.stickData[0] = data.stickData[0].clampLength();
+            data.stickData[1] = data.stickData[1].clampLength();
             
             // read buttons
             gamepad.buttons.map((button, j)=>
@@ -125,7 +189,7 @@ function updateGamepads()
 ///////////////////////////////////////////////////////////////////////////////
 // touch screen input
 
-if (enableTouchInput && window.ontouchstart !== undefined)
+if (enableTouchInput && !headless && window.ontouchstart !== undefined)
 {
     // handle all touch events the same way
     ontouchstart = ontouchmove = ontouchend = e=>
@@ -0,0 +1,144 @@
+/*
+    LittleJS 2D Lighting
+    - Point lights with a radius, color and falloff drawn by the WebGL renderer
+    - Lights are added each frame with drawLight() while objects render
+    - Solid collision tiles cast shadows, the light is marched through a tile mask
+    - Ambient light is darker under cover so caves and interiors are dark
+    - The light buffer is multiplied over the world before appRenderPost()
+    - With the overlay canvas the world is copied to the main canvas first so it can be lit
+*/
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+const lightEnable = 1;
+const defaultLightFalloff = 2;      // power of the falloff curve, higher is a tighter light
+const lightCoverDepth = 3;          // how many tiles under cover until it is fully inside
+const lightShadowSteps = 16;        // samples taken along the ray to each pixel
+
+let lightAmbient = new Color;                   // ambient light out in the open
+let lightAmbientInside = new Color(.3,.3,.3);   // ambient light under cover
+let lightShader, lightTileTexture, lightTileVersion, lightList = [];
+
+// add a light for this frame, call while rendering
+function drawLight(pos, radius, color=new Color, falloff=defaultLightFalloff)
+{
+    if (headless || !lightEnable) return;
+
+    lightList.push([pos, radius, color, falloff]);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+function lightInit()
+{
+    if (!lightEnable || !glEnable) return;
+
+    // lights and ambient use the sprite vertex format, p is the center and s the size
+    lightShader = glCreateProgram(
+        'precision highp float;'+   // precision is needed to march through the tiles
+        'uniform mat4 m;'+          // transform matrix
+        'attribute vec2 p,s;'+      // position, size
+        'attribute vec4 c,b;'+      // color, additiveColor
+        'varying vec2 w,l;'+        // return world position, light position
+        'varying vec4 d,e;'+        // return color, additiveColor
+        'void main(){'+             // shader entry point
+        'w=s*.5+p;l=p;d=c;e=b;'+    // pass stuff to fragment shader
+        'gl_Position=m*vec4(w,1,1);'+// transform position
+        '}'                         // end of shader
+        ,
+        'precision highp float;'+   // precision is needed to march through the tiles
+        'uniform sampler2D j;'+     // tile mask, r is solid and g is cover
+        'uniform vec2 z;'+          // tile mask size
+        'uniform float u;'+         // 0 for ambient, 1 for lights
+        'varying vec2 w,l;'+        // world position, light position
+        'varying vec4 d,e;'+        // color, additiveColor
+        'void main(){'+             // shader entry point
+        'if(u<.5){'+                // ambient mixes between open and cover
+        'gl_FragColor=vec4(mix(d.rgb,e.rgb,texture2D(j,w/z).g),1);return;}'+
+        'vec2 o=w-l;'+              // offset from the light
+        'float t=length(o),f=1.-t/e.g/64.,k=1.;'+ // distance, falloff and how much gets through
+        'if(f<=0.)discard;'+
+        'for(int i=0;i<'+lightShadowSteps+';++i){'+ // march from the light, the last bit is skipped so walls are lit
+        'float a=float(i)/'+lightShadowSteps+'.;'+
+        'if(t*(1.-a)>.7)k-=step(.5,texture2D(j,(l+o*a)/z).r)*t*1.5/'+lightShadowSteps+'.;}'+
+        'gl_FragColor=vec4(d.rgb*d.a*pow(f,e.r*16.)*clamp(k,0.,1.),1);'+
+        '}'                         // end of shader
+    );
+}
+
+function lightRender()
+{
+    const lights = lightList;
+    lightList = [];
+    if (!lightShader || headless || !tileCollisionSize.x)
+        return;
+
+    // draw the world so far and switch to the light shader, forced because the overlay canvas is not copied
+    glCopyToContext(mainContext, 1);
+    glSetShader(lightShader);
+    glContext.uniform2f(glContext.getUniformLocation(lightShader, 'z'), tileCollisionSize.x, tileCollisionSize.y);
+    lightUpdateTiles();
+
+    // ambient covers the whole view
+    const ambientColor = lightAmbient.rgbaInt(), insideColor = lightAmbientInside.rgbaInt();
+    const viewSize = mainCanvasSize.scale(1/cameraScale).add(vec2(2));
+    glContext.uniform1f(glContext.getUniformLocation(lightShader, 'u'), 0);
+    glSetBlendMode();
+    glDraw(cameraPos.x, cameraPos.y, viewSize.x, viewSize.y, 0, 0, 0, 0, 0, 0, ambientColor, insideColor);
+    glFlush();
+
+    // lights add on top, radius and falloff are packed in the additive color
+    glContext.uniform1f(glContext.getUniformLocation(lightShader, 'u'), 1);
+    glSetBlendMode(1);
+    for(const [pos, radius, color, falloff] of lights)
+    {
+        if (!isOverlapping(pos, vec2(radius*2), cameraPos, viewSize))
+            continue;
+
+        const params = new Color(clamp(falloff/16), clamp(radius/64), 0, 0).rgbaInt();
+        glDraw(pos.x, pos.y, radius*2, radius*2, 0, 0, 0, 0, 0, 0, color.rgbaInt(), params);
+    }
+
+    // multiply the light over the world
+    glFlush();
+    mainContext.globalCompositeOperation = 'multiply';
+    glCopyToContext(mainContext, 1);
+    mainContext.globalCompositeOperation = 'source-over';
+
+    // go back to drawing sprites
+    glSetShader(glShader);
+    glSetBlendMode();
+    glTexture = 0;
+}
+
+// the tile mask is rebuilt when collision changes, cover is how far under something solid
+function lightUpdateTiles()
+{
+    if (lightTileVersion === tileCollisionVersion && lightTileTexture)
+    {
+        glContext.bindTexture(gl_TEXTURE_2D, lightTileTexture);
+        return;
+    }
+
+    lightTileVersion = tileCollisionVersion;
+    const size = tileCollisionSize, data = new Uint8Array(size.area()*4);
+    for(let x = size.x; x--;)
+    for(let y = size.y, depth = 0; y--;)
+    {
+        const i = y*size.x + x;
+        const solid = tileCollision[i] > 0 && tileCollisionShapes[i] != tileShape_oneWay;
+        data[i*4] = solid*255;
+        data[i*4+1] = min(depth/lightCoverDepth, 1)*255;
+        (solid || depth) && ++depth;
+    }
+
+    // linear filtering smooths the shadow and cover edges
+    glContext.bindTexture(gl_TEXTURE_2D, lightTileTexture || (lightTileTexture = glContext.createTexture()));
+    glContext.texImage2D(gl_TEXTURE_2D, 0, gl_RGBA, size.x, size.y, 0, gl_RGBA, gl_UNSIGNED_BYTE, data);
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_MIN_FILTER, gl_LINEAR);
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_MAG_FILTER, gl_LINEAR);
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_WRAP_S, gl_CLAMP_TO_EDGE);
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_WRAP_T, gl_CLAMP_TO_EDGE);
+}
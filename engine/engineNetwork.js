@@ -0,0 +1,193 @@
+/*
+    LittleJS Network Multiplayer
+    - Connects to a WebSocket relay, everyone in the same room can message each other
+    - The first to join a room is the host, the host runs the game and clients follow it
+    - Clients send their input, the host gives each client a gamepad so game code is unchanged
+    - The host sends the whole game state when a client joins and snapshots a few times a second
+    - Clients play snapshots back a little in the past so remote objects can be interpolated
+    - Game events are sent as they happen and played back in step with the snapshots
+    - Run `node server.js` to start a relay for local testing
+*/
+
+'use strict';
+
+const netSnapshotFrames = 3;        // how often the host sends a snapshot
+const netInterpolationFrames = 6;   // how far behind the host clients play snapshots back
+const netMaxGamepads = 4;           // remote clients get gamepads from the last one down
+
+let netSocket, netConnected, netIsHost, netGamepad, netHandlers, netReceivingEvent;
+let netClients = [], netSnapshots = [], netEventQueue = [], netSendEvents = [];
+let netPlaybackFrame, netLastInput, netSavedInput;
+
+///////////////////////////////////////////////////////////////////////////////
+
+// join a room on a relay, handlers are callbacks the game provides
+// host: getState(), getSnapshot()
+// client: setState(state), readInput() returns [buttons, stickX, stickY, aimX, aimY], onEvent(event)
+function netConnect(url, room, handlers)
+{
+    netHandlers = handlers;
+    netSocket = new WebSocket(url);
+    netSocket.onopen = ()=> netSend({type:'join', room});
+    netSocket.onmessage = (e)=> netReceive(JSON.parse(e.data));
+    netSocket.onclose = ()=> netDisconnect();
+}
+
+function netDisconnect()
+{
+    netSocket && netSocket.close();
+    netSocket = netConnected = netIsHost = 0;
+    netClients = [];
+    netSnapshots = [];
+    netEventQueue = [];
+}
+
+const netSend = (message)=> netSocket && netSocket.readyState == 1 && netSocket.send(JSON.stringify(message));
+
+// send the whole game state to every client, or to one client that just joined
+const netSendState = (to)=> netIsHost && netSend({type:'state', to, frame, state:netHandlers.getState()});
+
+// queue an event for clients, like an explosion, sent at the end of the frame
+const netSendEvent = (...event)=> netIsHost && netSendEvents.push(event);
+
+///////////////////////////////////////////////////////////////////////////////
+
+function netReceive(message)
+{
+    if (message.type == 'welcome')
+    {
+        // the relay tells us if we are the first in the room
+        netConnected = 1;
+        netIsHost = message.host;
+    }
+    else if (netIsHost)
+    {
+        if (message.type == 'join')
+        {
+            // give the new client a gamepad that is not in use and send it the game
+            const used = netClients.map((client)=> client.gamepad);
+            let gamepad = netMaxGamepads;
+            while (used.includes(--gamepad));
+            if (gamepad < 1)
+                return; // no gamepads left
+
+            netClients.push({id:message.from, gamepad, input:[0,0,0], buttons:0});
+            netSend({type:'gamepad', to:message.from, gamepad});
+            netSendState(message.from);
+        }
+        else if (message.type == 'leave')
+            netClients = netClients.filter((client)=> client.id != message.from);
+        else if (message.type == 'input')
+        {
+            const client = netClients.find((client)=> client.id == message.from);
+            client && (client.input = message.input);
+        }
+    }
+    else if (message.type == 'gamepad')
+        netGamepad = message.gamepad;
+    else if (message.type == 'state')
+    {
+        // start over from the host's game
+        netSnapshots = [];
+        netEventQueue = [];
+        netPlaybackFrame = message.frame - netInterpolationFrames;
+        netHandlers.setState(message.state);
+    }
+    else if (message.type == 'snapshot')
+    {
+        netSnapshots.push(message);
+
+        // catch up if playback falls too far behind or gets ahead of the host
+        const delay = message.frame - netPlaybackFrame;
+        if (delay < 0 || delay > netInterpolationFrames*3)
+            netPlaybackFrame = message.frame - netInterpolationFrames;
+    }
+    else if (message.type == 'events')
+        netEventQueue.push(...message.events.map((event)=> [message.frame, event]));
+    else if (message.type == 'leave' && message.host)
+        netDisconnect(); // the host left so the game is over
+}
+
+// get the snapshots around the playback frame and how far between them, 0 if there are none yet
+function netGetSnapshots()
+{
+    if (!netSnapshots.length)
+        return 0;
+
+    // drop snapshots that playback has moved past
+    while (netSnapshots.length > 2 && netSnapshots[1].frame <= netPlaybackFrame)
+        netSnapshots.shift();
+    const [from, to=from] = netSnapshots;
+    return [from, to, to == from ? 1 : percent(netPlaybackFrame, to.frame, from.frame)];
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// engine network functions (called automatically)
+
+const netUpdate = ()=>
+{
+    if (!netConnected)
+        return;
+
+    if (netIsHost)
+    {
+        // each client is a gamepad for this frame, the real input is restored after
+        netSavedInput = [gamepadCount, inputData.length, []];
+        for(const client of netClients)
+        {
+            for(let i = 1; i < client.gamepad+1; ++i)
+                inputData[i] || (inputData[i] = [], inputData[i].stickData = [vec2(), vec2()]);
+
+            const [buttons, x, y, aimX=0, aimY=0] = client.input, device = client.gamepad+1;
+            const data = [];
+            data.stickData = [vec2(x, y), vec2(aimX, aimY)];
+            for(let j = 4; j--;)
+            {
+                const d = buttons>>j&1, wasDown = client.buttons>>j&1;
+                data[j] = {d, p:d && !wasDown, r:!d && wasDown};
+            }
+            netSavedInput[2].push([device, inputData[device]]);
+            inputData[device] = data;
+            client.buttons = buttons;
+            gamepadCount = max(gamepadCount, client.gamepad+1);
+        }
+        return;
+    }
+
+    // send input when it changes
+    const input = netHandlers.readInput(), inputString = JSON.stringify(input);
+    inputString != netLastInput && netSend({type:'input', input});
+    netLastInput = inputString;
+
+    // play events as playback reaches them
+    ++netPlaybackFrame;
+    netReceivingEvent = 1;
+    while (netEventQueue.length && netEventQueue[0][0] <= netPlaybackFrame)
+        netHandlers.onEvent(netEventQueue.shift()[1]);
+    netReceivingEvent = 0;
+}
+
+const netUpdatePost = ()=>
+{
+    if (!netIsHost)
+        return;
+
+    // clients are only gamepads during the frame
+    const [savedGamepadCount, savedLength, savedDevices] = netSavedInput;
+    for(const [device, data] of savedDevices.reverse())
+        inputData[device] = data;
+    inputData.length = savedLength;
+    gamepadCount = savedGamepadCount;
+    if (!netClients.length)
+    {
+        netSendEvents = []; // nobody to send to
+        return;
+    }
+
+    if (netSendEvents.length)
+    {
+        netSend({type:'events', frame, events:netSendEvents});
+        netSendEvents = [];
+    }
+    frame % netSnapshotFrames || netSend({type:'snapshot', frame, snapshot:netHandlers.getSnapshot()});
+}
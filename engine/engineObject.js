@@ -23,7 +23,7 @@ const defaultObjectDamping = .99;
 const defaultObjectAngleDamping = .99;
 const defaultObjectElasticity = 0;
 const defaultObjectFriction = .8;
-const maxObjectSpeed = 1;
+const maxObjectSpeed = 2; // tiles use swept collision when moving fast
 
 class EngineObject
 {
@@ -83,6 +83,7 @@ class EngineObject
             return;
 
         const wasMovingDown = this.velocity.y < 0;
+        const wasOnGround = this.groundObject;
         if (this.groundObject)
         {
             // apply friction in local space of ground object
@@ -96,8 +97,12 @@ class EngineObject
         {
             // check collisions against solid objects
             const epsilon = 1e-3; // necessary to push slightly outside of the collision
-            for(const o of engineCollideObjects)
+            const queryObjects = ()=> spatialHashQuery(this.pos, this.size.add(vec2(spatialHashMaxSize)));
+            let collideObjects = spatialHashEnable ? queryObjects() : engineCollideObjects;
+            let queryPos = this.pos.copy();
+            for(let i = 0; i < collideObjects.length; ++i)
             {
+                const o = collideObjects[i];
                 // non solid objects don't collide with eachother
                 if (!this.isSolid & !o.isSolid || o.destroyed || o.parent)
                     continue;
@@ -116,7 +121,7 @@ class EngineObject
                     const deltaPos = oldPos.subtract(o.pos);
                     const length = deltaPos.length();
                     const pushAwayAccel = .001; // push away if alread overlapping
-                    const velocity = length < .01 ? randVector(pushAwayAccel) : deltaPos.scale(pushAwayAccel/length);
+                    const velocity = length < .01 ? randCombat.vector(pushAwayAccel) : deltaPos.scale(pushAwayAccel/length);
                     this.velocity = this.velocity.add(velocity);
                     if (o.mass) // push away if not fixed
                         o.velocity = o.velocity.subtract(velocity);
@@ -168,12 +173,66 @@ class EngineObject
                 }
 
                 debugPhysics && debugAABB(this.pos, o.pos, this.size, o.size, '#f0f');
+
+                if (spatialHashEnable && (this.pos.x != queryPos.x || this.pos.y != queryPos.y))
+                {
+                    // query again when pushed so nothing is missed, only objects after this one are left to check
+                    queryPos = this.pos.copy();
+                    collideObjects = queryObjects().filter((c)=> c.spatialHashIndex > o.spatialHashIndex);
+                    i = -1;
+                }
             }
         }
         if (this.collideTiles)
         {
+            let delta = this.pos.subtract(oldPos);
+            const fastMove = abs(delta.x) > this.size.x*.5 || abs(delta.y) > this.size.y*.5;
+            if (fastMove)
+            {
+                // moving fast enough to pass through tiles, use swept collision
+                this.pos = oldPos.copy();
+                for(let slide = 2; slide-- && !this.destroyed;)
+                {
+                    const hit = tileCollisionSweep(this.pos, this.size, delta, this);
+                    if (!hit)
+                    {
+                        this.pos = this.pos.add(delta);
+                        break;
+                    }
+
+                    // move to contact and bounce, then slide along the tile with the rest of the move
+                    this.pos = hit.pos;
+                    delta = delta.scale(1 - hit.time);
+                    if (hit.normal.y)
+                    {
+                        // set if landed on ground
+                        this.groundObject = wasMovingDown;
+                        this.velocity.y *= -this.elasticity;
+                        delta.y = 0;
+                    }
+                    if (hit.normal.x)
+                    {
+                        this.velocity.x *= -this.elasticity;
+                        delta.x = 0;
+                    }
+                }
+            }
+
+            if (this.velocity.y <= 0)
+            {
+                // land on slopes and one way platforms, stay on slopes when walking down them
+                const bottom = this.pos.y - this.size.y*.5;
+                const surface = tileCollisionSurface(this.pos, this.size, oldPos.y - this.size.y*.5, this);
+                if (surface > bottom || wasOnGround && surface > bottom - tileCollisionStepHeight)
+                {
+                    this.velocity.y *= surface > bottom ? -this.elasticity : 0;
+                    this.pos.y = surface + this.size.y*.5 + 1e-3;
+                    this.groundObject = 1;
+                }
+            }
+
             // check collision against tiles
-            if (tileCollisionTest(this.pos, this.size, this))
+            if (!fastMove && tileCollisionTest(this.pos, this.size, this))
             {
                 //debugPhysics && debugRect(this.pos, this.size, '#ff0');
 
@@ -221,6 +280,7 @@ class EngineObject
         for(const child of this.children)
             child.destroy(child.parent = 0);
     }
+    // swept and slope collision also pass the exact contact point
     collideWithTile(data, pos)        { return data > 0; }
     collideWithTileRaycast(data, pos) { return data > 0; }
     collideWithObject(o)              { return 1; }
@@ -254,11 +314,13 @@ class EngineObject
         {
             ASSERT(!engineCollideObjects.includes(this));
             engineCollideObjects.push(this);
+            spatialHashAdd(this);
         }
         else if (!collideSolidObjects && this.collideSolidObjects)
         {
             ASSERT(engineCollideObjects.includes(this))
             engineCollideObjects.splice(engineCollideObjects.indexOf(this), 1);
+            spatialHashRemove(this);
         }
 
         this.collideSolidObjects = collideSolidObjects;
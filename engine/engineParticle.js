@@ -3,74 +3,80 @@
     - Spawns particles with randomness from parameters
     - Updates particle physics
     - Fast particle rendering
+    - Emitters can cast a light that fades out over their emit time
+    - Emitters are made from json presets with overrides
 */
 
 'use strict';
 
+///////////////////////////////////////////////////////////////////////////////
+// presets
+
+// emitter settings and their defaults, presets are json objects with any of these settings
+// colors are [r, g, b, a] and vectors are [x, y] so presets can be saved as json
+const particleEmitterDefaults =
+{
+    emitSize:          0,           // size of emitter (float for circle diameter, vec2 for rect)
+    emitTime:          0,           // how long to stay alive (0 is forever)
+    emitRate:          100,         // how many particles per second to spawn
+    emitConeAngle:     PI,          // local angle to apply velocity to particles from emitter
+    tileIndex:         -1,          // index into tile sheet, if <0 no texture is applied
+    tileSize:          defaultTileSize, // tile size for particles
+    colorStartA:       new Color,   // color at start of life
+    colorStartB:       new Color,   // randomized between start colors
+    colorEndA:         new Color(1,1,1,0), // color at end of life
+    colorEndB:         new Color(1,1,1,0), // randomized between end colors
+    particleTime:      .5,          // how long particles live
+    sizeStart:         .1,          // how big are particles at start
+    sizeEnd:           1,           // how big are particles at end
+    speed:             .1,          // how fast are particles when spawned
+    angleSpeed:        .05,         // how fast are particles rotating
+    damping:           1,           // how much to dampen particle speed
+    angleDamping:      1,           // how much to dampen particle angular speed
+    gravityScale:      0,           // how much does gravity effect particles
+    particleConeAngle: PI,          // cone for start particle angle
+    fadeRate:          .1,          // how quick to fade in particles at start/end in percent of life
+    randomness:        .2,          // apply extra randomness percent
+    collideTiles:      0,           // do particles collide against tiles
+    additive:          0,           // should particles use addtive blend
+    randomColorLinear: 1,           // should color be randomized linearly or across each component
+    elasticity:        0,           // how much particles bounce off tiles
+    trailScale:        0,           // stretch particles along their velocity
+    lightRadius:       0,           // light cast while emitting
+    lightColor:        new Color,   // color of the light
+    // renderOrder is left out so additive particles are above other stuff by default
+};
+
+let particlePresets = {};
+const particlePresetsLoad = (presets)=> particlePresets = presets;
+
+// json form of a setting, colors and vectors become arrays
+const particleSettingToJSON = (value)=>
+    value instanceof Color ? [value.r, value.g, value.b, value.a] : value instanceof Vector2 ? [value.x, value.y] : value;
+
+///////////////////////////////////////////////////////////////////////////////
+// particle emitter
+
 class ParticleEmitter extends EngineObject
 {
-    constructor
-    ( 
-        pos,                            // world space position of emitter
-        emitSize = 0,                   // size of emitter (float for circle diameter, vec2 for rect)
-        emitTime = 0,                   // how long to stay alive (0 is forever)
-        emitRate = 100,                 // how many particles per second to spawn
-        emitConeAngle = PI,             // local angle to apply velocity to particles from emitter
-        tileIndex = -1,                 // index into tile sheet, if <0 no texture is applied
-        tileSize = defaultTileSize,     // tile size for particles
-        colorStartA = new Color,        // color at start of life
-        colorStartB = new Color,        // randomized between start colors
-        colorEndA = new Color(1,1,1,0), // color at end of life
-        colorEndB = new Color(1,1,1,0), // randomized between end colors
-        particleTime = .5,              // how long particles live
-        sizeStart = .1,                 // how big are particles at start
-        sizeEnd = 1,                    // how big are particles at end
-        speed = .1,                     // how fast are particles when spawned
-        angleSpeed = .05,               // how fast are particles rotating
-        damping = 1,                    // how much to dampen particle speed
-        angleDamping = 1,               // how much to dampen particle angular speed
-        gravityScale = 0,               // how much does gravity effect particles
-        particleConeAngle = PI,         // cone for start particle angle
-        fadeRate = .1,                  // how quick to fade in particles at start/end in percent of life
-        randomness = .2,                // apply extra randomness percent
-        collideTiles,                   // do particles collide against tiles
-        additive,                       // should particles use addtive blend
-        randomColorLinear = 1,          // should color be randomized linearly or across each component
-        renderOrder = additive ? 1e9 : 0// render order for particles (additive is above other stuff by default)
-    )
+    // make an emitter from a preset like particlePresets.fire, overrides change settings for this one
+    constructor(pos, preset={}, overrides={})
+    {
+        super(pos, new Vector2);
+        this.applySettings({...particleEmitterDefaults, ...preset, ...overrides});
+        this.emitTimeBuffer = 0;
+    }
+
+    // set settings from a preset or overrides, arrays are made into colors or vectors
+    applySettings(settings)
     {
-        super(pos, new Vector2, tileIndex, tileSize);
-
-        // emitter settings
-        this.emitSize = emitSize
-        this.emitTime = emitTime;
-        this.emitRate = emitRate;
-        this.emitConeAngle = emitConeAngle;
-
-        // color settings
-        this.colorStartA = colorStartA;
-        this.colorStartB = colorStartB;
-        this.colorEndA   = colorEndA;
-        this.colorEndB   = colorEndB;
-        this.randomColorLinear = randomColorLinear;
-
-        // particle settings
-        this.particleTime      = particleTime;
-        this.sizeStart         = sizeStart;
-        this.sizeEnd           = sizeEnd;
-        this.speed             = speed;
-        this.angleSpeed        = angleSpeed;
-        this.damping           = damping;
-        this.angleDamping      = angleDamping;
-        this.gravityScale      = gravityScale;
-        this.particleConeAngle = particleConeAngle;
-        this.fadeRate          = fadeRate;
-        this.randomness        = randomness;
-        this.collideTiles      = collideTiles;
-        this.additive          = additive;
-        this.renderOrder       = renderOrder;
-        this.trailScale        =  
-        this.emitTimeBuffer    = 0;
+        for(const name in settings)
+        {
+            const value = settings[name];
+            this[name] = value instanceof Color || value instanceof Vector2 ? value.copy() : 
+                !Array.isArray(value) ? value : value.length == 2 ? vec2(...value) : new Color(...value);
+        }
+        'renderOrder' in settings || (this.renderOrder = this.additive ? 1e9 : 0);
     }
     
     update()
@@ -146,7 +152,15 @@ class ParticleEmitter extends EngineObject
         return particle;
     }
 
-    render() {} // emitters are not rendered
+    render()
+    {
+        // emitters are not rendered, but can light up the area around them while emitting
+        if (this.lightRadius && this.emitRate)
+        {
+            const fade = this.emitTime ? 1 - this.getAliveTime() / this.emitTime : 1;
+            drawLight(this.pos, this.lightRadius, this.lightColor.scale(1, this.lightColor.a*clamp(fade)));
+        }
+    }
 }
 
 ///////////////////////////////////////////////////////////////////////////////
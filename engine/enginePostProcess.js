@@ -0,0 +1,144 @@
+/*
+    LittleJS Post Processing
+    - Runs on the final frame after appRenderPost()
+    - Stack of bloom, color grade, desaturation, chromatic aberration, CRT, vignette and flash
+    - Each effect is a setting, 0 turns it off
+    - High quality uses a WebGL shader, low quality and no WebGL fall back to canvas 2D
+    - The canvas fallback has no bloom, chromatic aberration or screen curve
+    - With the overlay canvas the fallback only reaches sprites the light pass copied to the main canvas
+*/
+
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////
+
+const postProcessEnable = 1;
+let postProcessQuality = 1;         // 1 uses the shader, 0 uses the canvas fallback
+
+// effect settings
+let postBloom = .5;                 // glow around saturated pixels like additive particles
+let postChromaticAberration = .3;   // color fringes toward the edges
+let postCRT = 0;                    // scanlines and a curved screen
+let postVignette = .4;              // darken the corners
+let postColorGrade = new Color;     // multiplied over the frame
+let postSaturation = 1;             // 0 is black and white
+let postFlashColor = new Color, postFlashTimer = new Timer;
+let postShader, postTexture;
+
+// flash the screen a color that fades out
+function postFlash(color=new Color, duration=.2)
+{
+    postFlashColor = color;
+    postFlashTimer.set(duration);
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+function postProcessInit()
+{
+    if (!postProcessEnable || !glEnable || glOverlay) return;
+
+    // one full screen quad, s is the corner in clip space
+    postShader = glCreateProgram(
+        'precision mediump float;'+ // medium precision for screen coordinates
+        'attribute vec2 s;'+        // size
+        'varying vec2 v;'+          // return uv
+        'void main(){'+             // shader entry point
+        'gl_Position=vec4(s*.5,1,1);'+// already in clip space
+        'v=vec2(.5+s.x*.25,.5-s.y*.25);'+// canvas images are upside down
+        '}'                         // end of shader
+        ,
+        'precision mediump float;'+ // medium precision for screen coordinates
+        'uniform sampler2D j;'+     // frame
+        'uniform vec2 r;'+          // resolution
+        'uniform vec4 q,g,f;'+      // bloom/chromatic/crt/vignette, grade/saturation, flash
+        'varying vec2 v;'+          // uv
+        'void main(){'+             // shader entry point
+        'vec2 u=v-.5;'+
+        'u*=1.+q.z*.2*dot(u,u);'+   // curve the crt screen
+        'vec2 w=u+.5,o=u*q.y*.02;'+ // chromatic aberration grows toward the edges
+        'vec3 c=vec3(texture2D(j,w+o).r,texture2D(j,w).g,texture2D(j,w-o).b),b=vec3(0);'+
+        'for(int i=0;i<16;++i){'+   // bloom spirals out over saturated pixels
+        'float a=float(i)*2.4;'+
+        'b+=max(texture2D(j,w+vec2(cos(a),sin(a))*sqrt(float(i)+1.)*6./r).rgb-.9,0.)*10.;}'+
+        'c+=b*q.x/8.;'+
+        'c*=g.rgb;'+                // color grade
+        'c=mix(vec3(dot(c,vec3(.3,.59,.11))),c,g.a);'+ // saturation
+        'c*=1.-q.z*.3*step(mod(gl_FragCoord.y,3.),1.);'+ // scanlines
+        'c*=1.-q.w*dot(u,u)*2.;'+   // vignette
+        'c=mix(c,f.rgb,f.a);'+      // flash
+        'if(w.x<0.||w.y<0.||w.x>1.||w.y>1.)c=vec3(0);'+ // outside the curved screen
+        'gl_FragColor=vec4(c,1);'+
+        '}'                         // end of shader
+    );
+    postTexture = glCreateTexture(mainCanvas);
+}
+
+function postProcessRender()
+{
+    if (!postProcessEnable || headless) return;
+
+    // draw anything left in the buffer so the whole frame is processed
+    glCopyToContext(mainContext);
+    const flashAlpha = postFlashTimer.active() ? postFlashColor.a * (1 - postFlashTimer.getPercent()) : 0;
+    postShader && postProcessQuality ? postProcessRenderGL(flashAlpha) : postProcessRenderCanvas(flashAlpha);
+}
+
+function postProcessRenderGL(flashAlpha)
+{
+    // copy the frame to a texture and draw it back through the shader, the gl canvas may be sized for a viewport
+    glPreRender(mainCanvas.width, mainCanvas.height);
+    glSetShader(postShader);
+    glContext.bindTexture(gl_TEXTURE_2D, postTexture);
+    glContext.texImage2D(gl_TEXTURE_2D, 0, gl_RGBA, gl_RGBA, gl_UNSIGNED_BYTE, mainCanvas);
+    const uniform = (name)=> glContext.getUniformLocation(postShader, name);
+    glContext.uniform2f(uniform('r'), mainCanvas.width, mainCanvas.height);
+    glContext.uniform4f(uniform('q'), postBloom, postChromaticAberration, postCRT, postVignette);
+    glContext.uniform4f(uniform('g'), postColorGrade.r, postColorGrade.g, postColorGrade.b, postSaturation);
+    glContext.uniform4f(uniform('f'), postFlashColor.r, postFlashColor.g, postFlashColor.b, flashAlpha);
+    glSetBlendMode();
+    glDraw(0, 0, 2, 2, 0, 0, 0, 0, 0, 0, 0, 0);
+    glCopyToContext(mainContext, 1);
+
+    // go back to drawing sprites
+    glSetShader(glShader);
+    glTexture = 0;
+}
+
+function postProcessRenderCanvas(flashAlpha)
+{
+    const context = mainContext, width = mainCanvas.width, height = mainCanvas.height;
+    const fill = (color, operation='source-over')=>
+    {
+        context.globalCompositeOperation = operation;
+        context.fillStyle = color;
+        context.fillRect(0, 0, width, height);
+    }
+    context.save();
+
+    // color grade and saturation
+    (postColorGrade.r < 1 || postColorGrade.g < 1 || postColorGrade.b < 1) && fill(postColorGrade.rgba(), 'multiply');
+    postSaturation < 1 && fill(`hsla(0,0%,50%,${1-postSaturation})`, 'saturation');
+
+    // scanlines
+    if (postCRT)
+    {
+        context.globalCompositeOperation = 'source-over';
+        context.fillStyle = new Color(0,0,0,.3*clamp(postCRT)).rgba();
+        for(let y = 0; y < height; y += 3)
+            context.fillRect(0, y, width, 1);
+    }
+
+    // vignette
+    if (postVignette)
+    {
+        const gradient = context.createRadialGradient(width/2, height/2, 0, width/2, height/2, (width**2 + height**2)**.5/2);
+        gradient.addColorStop(0, 'rgba(0,0,0,0)');
+        gradient.addColorStop(1, new Color(0,0,0,clamp(postVignette)).rgba());
+        fill(gradient);
+    }
+
+    // flash
+    flashAlpha > 0 && fill(new Color(postFlashColor.r, postFlashColor.g, postFlashColor.b, flashAlpha).rgba());
+    context.restore();
+}
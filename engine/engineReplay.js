@@ -0,0 +1,189 @@
+/*
+    LittleJS Replay System
+    - Records input from every device each frame
+    - Only frames where input changed are stored to keep replays small
+    - Plays back through the normal input system so game code is unchanged
+    - The header keeps the input bindings so actions read the same keys when played back
+    - Playback can be paused with the pause action and fast forwarded
+    - Compares game state during playback to detect drift
+*/
+
+'use strict';
+
+const replayVersion = 1;
+const replayCheckFrames = 60;    // how often to compare game state
+const replayFastForwardKey = 70; // F - cycle playback speed
+const replayStopKey = 27;        // Esc - stop playback
+
+let replayRecording, replayPlaying, replaySpeed = 1, replayDrift, replaySaveFilename;
+let replayFrame, replayInputIndex, replayInput, replayLastInput, replayGetState, replaySavedInput, replaySavedBindings;
+const replayControlKeys = [];
+
+///////////////////////////////////////////////////////////////////////////////
+
+// start recording, header should have everything needed to restart the game from here
+function replayRecord(header, getState=()=>0)
+{
+    header = {...header, inputBindings:JSON.parse(JSON.stringify(inputBindings))};
+    replayRecording = {version:replayVersion, header, frameCount:0, input:[], states:[]};
+    replayGetState = getState;
+    replayLastInput = replayDrift = 0;
+}
+
+// get a copy of the recording so far with the current end state, must be called between frames
+function replayGetRecording()
+{
+    return replayRecording && {...replayRecording, endState:replayGetState()};
+}
+
+// save the recording at the start of the next frame, recording continues
+const replaySave = (filename='replay.json')=> replaySaveFilename = filename;
+
+// play back a replay, the game must already be restarted from the replay header
+function replayPlay(replay, getState=()=>0)
+{
+    ASSERT(replay.version == replayVersion);
+    replayRecording = 0;
+    replayPlaying = replay;
+    replayGetState = getState;
+    replayFrame = replayInputIndex = replayDrift = 0;
+    replayInput = [[[]]];
+    replaySpeed = 1;
+}
+
+// stop recording and return the recording
+function replayStopRecording()
+{
+    const replay = replayGetRecording();
+    replayRecording = 0;
+    return replay;
+}
+
+function replayStopPlayback()
+{
+    replayPlaying = paused = 0;
+    replaySpeed = 1;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// engine replay functions (called automatically)
+
+// get input from all devices as a compact array
+const replayReadInput = ()=>
+[
+    inputData.map((deviceInputData)=>
+    {
+        // store pressed, down and released as bits for each key
+        const keys = [];
+        deviceInputData.forEach((k, key)=>
+        {
+            const bits = k.d | k.p<<1 | k.r<<2;
+            bits && keys.push(key, bits);
+        });
+        return deviceInputData.stickData ?
+            [keys, deviceInputData.stickData.map(v=> [v.x, v.y])] : [keys];
+    }),
+    mousePosWorld.x, mousePosWorld.y, isUsingGamepad, gamepadCount, mainCanvasSize.x, mainCanvasSize.y
+];
+
+const replayWriteInput = (input)=>
+{
+    // swap recorded input in, real input is restored after the frame
+    let devices;
+    [devices, mousePosWorld.x, mousePosWorld.y, isUsingGamepad, gamepadCount, mainCanvasSize.x, mainCanvasSize.y] = input;
+    replaySavedInput = inputData.splice(0, inputData.length, ...devices.map(([keys, sticks])=>
+    {
+        const deviceInputData = [];
+        for(let i = 0; i < keys.length; i += 2)
+            deviceInputData[keys[i]] = {d:keys[i+1]&1, p:keys[i+1]>>1&1, r:keys[i+1]>>2&1};
+        sticks && (deviceInputData.stickData = sticks.map(s=> vec2(...s)));
+        return deviceInputData;
+    }));
+
+    // actions use the bindings from when it was recorded, older replays use the current ones
+    replaySavedBindings = inputBindings;
+    inputBindings = replayPlaying.header.inputBindings || inputBindings;
+}
+
+const replayCheckState = (recordedState)=>
+{
+    // flag the first frame where the game no longer matches the recording
+    const state = replayGetState();
+    if (replayDrift || JSON.stringify(state) == JSON.stringify(recordedState))
+        return;
+
+    replayDrift = {frame:replayFrame, recorded:recordedState, played:state};
+    console.warn('Replay drift at frame ' + replayFrame, replayDrift);
+}
+
+const replayUpdate = ()=>
+{
+    if (replayRecording)
+    {
+        if (replaySaveFilename)
+        {
+            headless || saveDownload(JSON.stringify(replayGetRecording()), replaySaveFilename);
+            replaySaveFilename = 0;
+        }
+
+        // store state periodically to find where a replay drifts
+        const recording = replayRecording;
+        recording.frameCount % replayCheckFrames || recording.states.push(replayGetState());
+
+        // only store input when it changes
+        const input = replayReadInput();
+        const inputString = JSON.stringify(input);
+        inputString != replayLastInput && recording.input.push([recording.frameCount, input]);
+        replayLastInput = inputString;
+        ++recording.frameCount;
+    }
+    else if (replayPlaying)
+    {
+        const replay = replayPlaying;
+        if (replayFrame == replay.frameCount)
+        {
+            // reached the end, check if it finished the same way
+            replayCheckState(replay.endState);
+            replayDrift || console.log('Replay finished with no drift');
+            replayStopPlayback();
+            return;
+        }
+
+        replayFrame % replayCheckFrames || replayCheckState(replay.states[replayFrame / replayCheckFrames]);
+
+        // apply the most recent input change
+        for(; replayInputIndex < replay.input.length && replay.input[replayInputIndex][0] <= replayFrame; ++replayInputIndex)
+            replayInput = replay.input[replayInputIndex][1];
+        replayWriteInput(replayInput);
+        ++replayFrame;
+    }
+}
+
+const replayUpdatePost = ()=>
+{
+    // restore real input so it is not lost during playback
+    replaySavedInput && inputData.splice(0, inputData.length, ...replaySavedInput);
+    replaySavedBindings && (inputBindings = replaySavedBindings);
+    replaySavedInput = replaySavedBindings = 0;
+}
+
+const replayUpdateControls = ()=>
+{
+    // controls use real input once per render frame so they still work when paused
+    const wasPressed = (key)=>
+    {
+        const pressed = keyIsDown(key) && !replayControlKeys[key];
+        replayControlKeys[key] = keyIsDown(key);
+        return pressed;
+    }
+
+    const fastForwardPressed = wasPressed(replayFastForwardKey);
+    const stopPressed = wasPressed(replayStopKey);
+    if (!replayPlaying)
+        return;
+
+    if (fastForwardPressed)
+        replaySpeed = replaySpeed < 8 ? replaySpeed * 2 : 1;
+    if (stopPressed)
+        replayStopPlayback();
+}
@@ -0,0 +1,120 @@
+/*
+    LittleJS Save System
+    - Saves any graph of objects to json and loads it back
+    - Shared references and cycles between objects are kept
+    - Classes must be registered so objects are rebuilt with the right prototype
+    - Functions can be registered so callbacks can be saved
+    - Save slots in local storage, or export and import as json files
+*/
+
+'use strict';
+
+const saveClasses = {}, saveFunctions = {};
+const registerSaveClass = (...classes)=> classes.forEach((c)=> saveClasses[c.name] = c);
+const registerSaveFunction = (...functions)=> functions.forEach((f)=> saveFunctions[f.name] = f);
+
+///////////////////////////////////////////////////////////////////////////////
+
+function saveEncode(root)
+{
+    // every object is stored once in a table, references point into the table
+    const objects = [], ids = new Map;
+    const encode = (value)=>
+    {
+        if (typeof value == 'function')
+        {
+            ASSERT(saveFunctions[value.name] == value, 'save function not registered: ' + value.name);
+            return {f:value.name};
+        }
+        if (!value || typeof value != 'object')
+            return value;
+        if (ids.has(value))
+            return {r:ids.get(value)};
+
+        const id = objects.length;
+        ids.set(value, id);
+        const entry = objects[id] = {};
+        if (Array.isArray(value))
+            entry.a = [];
+        else
+        {
+            const className = value.constructor.name;
+            ASSERT(className == 'Object' || saveClasses[className] == value.constructor, 'save class not registered: ' + className);
+            className == 'Object' || (entry.c = className);
+            entry.v = {};
+        }
+
+        // encode contents after adding to the table so cycles work
+        if (entry.a)
+            for(let i = 0; i < value.length; ++i)
+                entry.a[i] = encode(value[i]);
+        else
+            for(const key in value)
+                entry.v[key] = encode(value[key]);
+        return {r:id};
+    }
+
+    const encodedRoot = encode(root);
+    return {objects, root:encodedRoot};
+}
+
+function saveDecode(saved)
+{
+    // create all objects first so references can be linked up
+    const values = saved.objects.map((entry)=> entry.a ? [] :
+        Object.create(entry.c ? saveClasses[entry.c].prototype : Object.prototype));
+    const decode = (value)=> !value || typeof value != 'object' ? value :
+        value.f ? saveFunctions[value.f] : values[value.r];
+
+    saved.objects.forEach((entry, i)=>
+    {
+        ASSERT(!entry.c || saveClasses[entry.c], 'save class not registered: ' + entry.c);
+        if (entry.a)
+            entry.a.forEach((v, j)=> v == null || (values[i][j] = decode(v)));
+        else
+            for(const key in entry.v)
+                values[i][key] = decode(entry.v[key]);
+    });
+    return decode(saved.root);
+}
+
+// store long arrays of repeated numbers like tile data as value, count pairs
+function runLengthEncode(array)
+{
+    const runs = [];
+    for(let i = 0; i < array.length; ++i)
+        runs.length && runs[runs.length-2] == array[i] ? ++runs[runs.length-1] : runs.push(array[i], 1);
+    return runs;
+}
+
+function runLengthDecode(runs)
+{
+    const array = [];
+    for(let i = 0; i < runs.length; i += 2)
+        for(let j = runs[i+1]; j--;)
+            array.push(runs[i]);
+    return array;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// save slots and files
+
+const saveWriteSlot = (slot, data)=> localStorage[slot] = JSON.stringify(saveEncode(data));
+const saveReadSlot = (slot)=> localStorage[slot] && saveDecode(JSON.parse(localStorage[slot]));
+
+// download text as a file
+function saveDownload(text, filename)
+{
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(new Blob([text], {type:'application/json'}));
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+const saveExport = (data, filename='save.json')=> saveDownload(JSON.stringify(saveEncode(data)), filename);
+
+// check if parsed json is an exported save
+const saveIsExport = (json)=> json && json.objects && 'root' in json;
+
+registerSaveClass(Vector2, Color, Timer, EngineObject, ParticleEmitter, Particle, TileLayerData, Animation);
@@ -3,6 +3,9 @@
     - Caches arrays of tiles to offscreen canvas for fast rendering
     - Unlimted numbers of layers, allocates canvases as needed
     - Interfaces with EngineObject for collision
+    - Swept collision so fast objects can not pass through tiles
+    - Raycasts return the exact hit point, normal and tile that was hit
+    - Slopes and one way platforms as tile collision shapes
     - Collision layer is separate from visible layers
     - Tile layers can be drawn to using their context with canvas2d
     - It is recommended to have a visible layer that matches the collision
@@ -14,24 +17,50 @@
 // Tile Collision
 
 let tileCollision = [];
+let tileCollisionShapes = [];
 let tileCollisionSize = vec2();
+let tileCollisionVersion = 0; // changes whenever collision is set so other systems can update
 const tileLayerCanvasCache = [];
 const defaultTileLayerRenderOrder = -1e9;
 const debugRaycast = 0;
 
+// tile collision shapes, slopes are solid below a line from their left to right height
+const tileShape_square        = 0;
+const tileShape_oneWay        = 1; // can jump up through and drop down through
+const tileShape_slopeUp       = 2; // 45 degree slope rising to the right
+const tileShape_slopeDown     = 3; // 45 degree slope falling to the right
+const tileShape_slopeUpLow    = 4; // 22.5 degree slope rising to the right, bottom half
+const tileShape_slopeUpHigh   = 5; // 22.5 degree slope rising to the right, top half
+const tileShape_slopeDownHigh = 6; // 22.5 degree slope falling to the right, top half
+const tileShape_slopeDownLow  = 7; // 22.5 degree slope falling to the right, bottom half
+const tileShapeSlopeHeights = [,, [0,1], [1,0], [0,.5], [.5,1], [1,.5], [.5,0]];
+const tileCollisionStepHeight = .5; // how far objects can step up or down to follow slopes
+
 function initTileCollision(size)
 {
     // reset collision to be clear
     tileCollisionSize = size;
+    ++tileCollisionVersion;
     tileCollision = [];
-    for(let i=tileCollision.length = tileCollisionSize.area(); i--;)
-        tileCollision[i] = 0;
+    tileCollisionShapes = [];
+    for(let i=tileCollision.length = tileCollisionShapes.length = tileCollisionSize.area(); i--;)
+        tileCollision[i] = tileCollisionShapes[i] = 0;
 }
 
-const setTileCollisionData = (pos, data=0)=>
-    pos.arrayCheck(tileCollisionSize) && (tileCollision[(pos.y|0)*tileCollisionSize.x+pos.x|0] = data);
+const setTileCollisionData = (pos, data=0, shape=tileShape_square)=>
+    pos.arrayCheck(tileCollisionSize) && (tileCollision[(pos.y|0)*tileCollisionSize.x+pos.x|0] = data,
+        tileCollisionShapes[(pos.y|0)*tileCollisionSize.x+pos.x|0] = shape, ++tileCollisionVersion);
 const getTileCollisionData = (pos)=>
     pos.arrayCheck(tileCollisionSize) ? tileCollision[(pos.y|0)*tileCollisionSize.x+pos.x|0] : 0;
+const getTileCollisionShape = (pos)=>
+    pos.arrayCheck(tileCollisionSize) ? tileCollisionShapes[(pos.y|0)*tileCollisionSize.x+pos.x|0] : tileShape_square;
+
+// get the top of a tile shape where it is highest between minX and maxX
+function getTileShapeTop(shape, x, y, minX, maxX)
+{
+    const heights = tileShapeSlopeHeights[shape];
+    return y + (heights ? max(lerp(minX - x, heights[1], heights[0]), lerp(maxX - x, heights[1], heights[0])) : 1);
+}
 
 function tileCollisionTest(pos, size=vec2(), object)
 {
@@ -44,38 +73,146 @@ function tileCollisionTest(pos, size=vec2(), object)
     for(let x = minX; x <= maxX; ++x)
     {
         const tileData = tileCollision[y*tileCollisionSize.x + x];
+        const shape = tileCollisionShapes[y*tileCollisionSize.x + x];
+
+        // one way platforms are only solid when landing on them, slopes are solid below their surface
+        if (shape == tileShape_oneWay || shape && pos.y - size.y*.5 >= getTileShapeTop(shape, x, y, pos.x - size.x*.5, pos.x + size.x*.5))
+            continue;
         if (tileData && (!object || object.collideWithTile(tileData, new Vector2(x, y))))
             return 1;
     }
 }
 
-// return the center of tile if any that is hit (this does not return the exact hit point)
-// todo: return the exact hit point, it must still be inside the hit tile
+// find the highest slope or one way platform surface under a box that it can stand on
+// platforms must be below the bottom of the box last frame, slopes can be stepped up onto
+function tileCollisionSurface(pos, size, lastBottom, object)
+{
+    const minX = pos.x - size.x*.5, maxX = pos.x + size.x*.5;
+    const bottom = pos.y - size.y*.5;
+    let surface;
+    for(let y = max(bottom - tileCollisionStepHeight|0, 0); y <= (bottom + tileCollisionStepHeight|0); ++y)
+    for(let x = max(minX|0, 0); x <= (maxX|0); ++x)
+    {
+        const tilePos = new Vector2(x, y);
+        const shape = getTileCollisionShape(tilePos);
+        const tileData = getTileCollisionData(tilePos);
+        if (!shape || !tileData)
+            continue;
+
+        const top = getTileShapeTop(shape, x, y, minX, maxX);
+        if (surface >= top || top > lastBottom + (shape == tileShape_oneWay ? 0 : tileCollisionStepHeight))
+            continue;
+        if (object ? object.collideWithTile(tileData, tilePos, vec2(clamp(pos.x, x+1, x), top)) : tileData > 0)
+            surface = top;
+    }
+    return surface;
+}
+
+// find the first tile hit by a box moving from pos by delta (swept collision)
+// returns the time of impact (0-1), pos to move to, hit normal, contact point, tile pos and data
+function tileCollisionSweep(pos, size, delta, object)
+{
+    // get when the box enters and leaves a tile along one axis
+    const sweepAxis = (p, s, d, t)=>
+    {
+        const low = t - p - s*.5, high = t + 1 - p + s*.5;
+        if (!d) // not moving, check if overlapping
+            return low <= 0 && high > 0 ? [-Infinity, Infinity] : [Infinity, -Infinity];
+        return d > 0 ? [low/d, high/d] : [high/d, low/d];
+    }
+
+    // check all tiles in the area covered by the move
+    const end = pos.add(delta);
+    const minX = min(pos.x, end.x) - size.x*.5|0;
+    const minY = min(pos.y, end.y) - size.y*.5|0;
+    const maxX = max(pos.x, end.x) + size.x*.5|0;
+    const maxY = max(pos.y, end.y) + size.y*.5|0;
+    const hits = [];
+    for(let y = minY; y <= maxY; ++y)
+    for(let x = minX; x <= maxX; ++x)
+    {
+        const tilePos = new Vector2(x, y);
+        const data = getTileCollisionData(tilePos);
+        if (!data || getTileCollisionShape(tilePos)) // slopes and platforms are handled by tileCollisionSurface
+            continue;
+
+        const [enterX, leaveX] = sweepAxis(pos.x, size.x, delta.x, x);
+        const [enterY, leaveY] = sweepAxis(pos.y, size.y, delta.y, y);
+        const time = max(enterX, enterY);
+        if (time > 1 || time > min(leaveX, leaveY) || min(leaveX, leaveY) <= 0)
+            continue; // missed
+
+        if (time < 0)
+        {
+            // already overlapping at the start, hit right away and block moving deeper in
+            // it is deeper along an axis when there is more of the tile ahead than behind
+            const deeperX = leaveX > -enterX, deeperY = leaveY > -enterY;
+            if (deeperX || deeperY)
+                hits.push({time: 0, tilePos, data, normal: new Vector2(deeperX ? -sign(delta.x) : 0, deeperY ? -sign(delta.y) : 0)});
+            continue;
+        }
+        hits.push({time, tilePos, data, normal: new Vector2(
+            enterX >= enterY ? -sign(delta.x) : 0, enterY >= enterX ? -sign(delta.y) : 0)});
+    }
+
+    // pass collisions to object in the order they happen
+    hits.sort((a, b)=> a.time - b.time);
+    for(const hit of hits)
+    {
+        // get contact point on the edge of the box that touches the tile
+        const hitPos = pos.add(delta.scale(hit.time));
+        hit.contactPos = hitPos.subtract(hit.normal.multiply(size).scale(.5));
+        if (object ? object.collideWithTile(hit.data, hit.tilePos, hit.contactPos) : hit.data > 0)
+        {
+            // push slightly outside of the tile
+            hit.pos = hitPos.add(hit.normal.scale(1e-3));
+            debugRaycast && debugPoint(hit.contactPos, '#ff0', 1);
+            return hit;
+        }
+    }
+}
+
+// cast a ray against tile collision from start to end using a dda grid walk
+// returns the exact hit pos, surface normal, tile pos, tile data and distance
 function tileCollisionRaycast(posStart, posEnd, object)
 {
-    // test if a ray collides with tiles from start to end
-    posStart = posStart.int();
-    posEnd = posEnd.int();
-    const posDelta = posEnd.subtract(posStart);
-    const dx = abs(posDelta.x),  dy = -abs(posDelta.y);
-    const sx = sign(posDelta.x), sy = sign(posDelta.y);
-    let e = dx + dy;
-
-    for(let x = posStart.x, y = posStart.y;;)
-    {
-        const tileData = getTileCollisionData(vec2(x,y));
-        if (tileData && (object ? object.collideWithTileRaycast(tileData, new Vector2(x, y)) : tileData > 0))
+    // distance along the ray to cross a tile and to reach the first tile edge on each axis
+    const delta = posEnd.subtract(posStart);
+    const length = delta.length();
+    const tilePos = posStart.floor();
+    const step = vec2(sign(delta.x), sign(delta.y));
+    const tileDistance = vec2(abs(length/delta.x), abs(length/delta.y));
+    const edgeDistance = vec2(
+        delta.x ? (delta.x > 0 ? tilePos.x + 1 - posStart.x : posStart.x - tilePos.x) * tileDistance.x : Infinity,
+        delta.y ? (delta.y > 0 ? tilePos.y + 1 - posStart.y : posStart.y - tilePos.y) * tileDistance.y : Infinity);
+
+    for(let distance = 0, normal = vec2();;)
+    {
+        const tileData = getTileCollisionData(tilePos);
+        if (tileData && (object ? object.collideWithTileRaycast(tileData, tilePos.copy()) : tileData > 0))
         {
+            const pos = length ? posStart.add(delta.scale(distance/length)) : posStart.copy();
             debugRaycast && debugLine(posStart, posEnd, '#f00',.02, 1);
-            debugRaycast && debugPoint(new Vector2(x+.5, y+.5), '#ff0', 1);
-            return new Vector2(x+.5, y+.5);
+            debugRaycast && debugPoint(pos, '#ff0', 1);
+            return {pos, normal, tilePos, data:tileData, distance};
         }
 
-        // update Bresenham line drawing algorithm
-        if (x == posEnd.x & y == posEnd.y) break;
-        const e2 = 2*e;
-        if (e2 >= dy) e += dy, x += sx;
-        if (e2 <= dx) e += dx, y += sy;
+        // step to the next tile along whichever axis edge is closer
+        if (min(edgeDistance.x, edgeDistance.y) > length) break;
+        if (edgeDistance.x < edgeDistance.y)
+        {
+            distance = edgeDistance.x;
+            edgeDistance.x += tileDistance.x;
+            tilePos.x += step.x;
+            normal = vec2(-step.x, 0);
+        }
+        else
+        {
+            distance = edgeDistance.y;
+            edgeDistance.y += tileDistance.y;
+            tilePos.y += step.y;
+            normal = vec2(0, -step.y);
+        }
     }
     debugRaycast && debugLine(posStart, posEnd, '#00f',.02, 1);
 }
@@ -101,9 +238,12 @@ class TileLayer extends EngineObject
     {
         super(pos, size);
 
-        // create new canvas if necessary
-        this.canvas = tileLayerCanvasCache.length ? tileLayerCanvasCache.pop() : document.createElement('canvas');
-        this.context = this.canvas.getContext('2d');
+        // create new canvas if necessary (there is no canvas when headless)
+        if (!headless)
+        {
+            this.canvas = tileLayerCanvasCache.length ? tileLayerCanvasCache.pop() : document.createElement('canvas');
+            this.context = this.canvas.getContext('2d');
+        }
 
         this.scale = scale;
         this.tileSize = defaultTileSize.copy();
@@ -120,7 +260,7 @@ class TileLayer extends EngineObject
     destroy()
     {
         // add canvas back to the cache
-        tileLayerCanvasCache.push(this.canvas);
+        this.canvas && tileLayerCanvasCache.push(this.canvas);
         super.destroy();
     }
     
@@ -139,6 +279,7 @@ class TileLayer extends EngineObject
     update() {} // tile layers are not updated
     render()
     {
+        if (headless) return;
         ASSERT(mainContext != this.context); // must call redrawEnd() after drawing tiles
 
         // flush and copy gl canvas because tile canvas does not use gl
@@ -155,6 +296,8 @@ class TileLayer extends EngineObject
 
     redraw()
     {
+        if (headless) return;
+
         // draw all the tile data to an offscreen canvas using webgl if possible
         this.redrawStart();
         this.drawAllTileData();
@@ -198,6 +341,8 @@ class TileLayer extends EngineObject
 
     drawTileData(layerPos)
     {
+        if (headless) return;
+
         // first clear out where the tile was
         const pos = layerPos.int().add(this.pos).add(vec2(.5));
         this.drawCanvas2D(pos, vec2(1), 0, 0, (context)=>context.clearRect(-.5, -.5, 1, 1));
@@ -218,6 +363,8 @@ class TileLayer extends EngineObject
     // draw directly to the 2d canvas in world space (bipass webgl)
     drawCanvas2D(pos, size, angle, mirror, drawFunction)
     {
+        if (headless) return;
+
         const context = this.context;
         context.save();
         pos = pos.subtract(this.pos).multiply(this.tileSize);
@@ -242,11 +389,12 @@ class TileLayer extends EngineObject
             }
             else
             {
-                const cols = tileImage.width/tileSize.x;
+                // sprites can come from any loaded tile sheet
+                const cols = tileImage.width/tileSize.x|0;
+                const sprite = typeof tileIndex == 'string' ? getTileSprite(tileIndex, tileSize) :
+                    {sheet:tileSheetDefault, x:(tileIndex%cols)*tileSize.x, y:(tileIndex/cols|0)*tileSize.y, w:tileSize.x, h:tileSize.y};
                 context.globalAlpha = color.a; // full color not supported in this mode
-                context.drawImage(tileImage, 
-                    (tileIndex%cols)*tileSize.x, (tileIndex/cols|0)*tileSize.x, 
-                    tileSize.x, tileSize.y, -.5, -.5, 1, 1);
+                sprite && context.drawImage(sprite.sheet.image, sprite.x, sprite.y, sprite.w, sprite.h, -.5, -.5, 1, 1);
             }
         });
     }
@@ -4,6 +4,7 @@
     - Vector2 - fast, simple, easy vector class
     - Color - holds a rgba color with math functions
     - Timer - tracks time automatically
+    - RandomGenerator - seeded random number streams
     - Small math lib
 */
 
@@ -24,17 +25,12 @@ const lerp          = (p, max=1, min=0)=> min + clamp(p) * (max-min);
 const formatTime    = (t)=>               (t/60|0)+':'+(t%60<10?'0':'')+(t%60|0);
 const isOverlapping = (pA, sA, pB, sB)=>  abs(pA.x - pB.x)*2 < sA.x + sB.x & abs(pA.y - pB.y)*2 < sA.y + sB.y;
 
-// random functions
-const rand         = (a=1, b=0)=>              b + (a-b)*Math.random();
-const randSign     = ()=>                      (rand(2)|0)*2-1;
-const randInCircle = (radius=1, minRadius=0)=> radius > 0 ? randVector(radius * rand(minRadius / radius, 1)**.5) : new Vector2;
-const randVector   = (length=1)=>              new Vector2().setAngle(rand(2*PI), length);
-const randColor    = (cA = new Color, cB = new Color(0,0,0,1), linear)=>
-    linear ?  cA.lerp(cB, rand()) : new Color(rand(cA.r,cB.r),rand(cA.g,cB.g),rand(cA.b,cB.b),rand(cA.a,cB.a));
-
-// seeded random numbers - Xorshift
-let randSeed       = 0;
-const randSeeded   = (a=1, b=0)=> b + (a-b)* (Math.sin(++randSeed)**2 * 1e9 % 1);
+// random functions, these use the cosmetic stream so they never change gameplay
+const rand         = (a=1, b=0)=>              randEffects.float(a, b);
+const randSign     = ()=>                      randEffects.sign();
+const randInCircle = (radius=1, minRadius=0)=> randEffects.inCircle(radius, minRadius);
+const randVector   = (length=1)=>              randEffects.vector(length);
+const randColor    = (cA, cB, linear)=>        randEffects.color(cA, cB, linear);
 
 // create a 2d vector, can take another Vector2 to copy, 2 scalars, or 1 scalar
 const vec2 = (x=0, y)=> x.x == undefined? new Vector2(x, y == undefined? x : y) : new Vector2(x.x, x.y);
@@ -68,6 +64,7 @@ class Vector2
     flip()                { return new Vector2(this.y, this.x); }
     invert()              { return new Vector2(this.y, -this.x); }
     round()               { return new Vector2(Math.round(this.x), Math.round(this.y)); }
+    floor()               { return new Vector2(Math.floor(this.x), Math.floor(this.y)); }
     lerp(v, p)            { ASSERT(v.x!=undefined); return this.add(v.subtract(this).scale(clamp(p))); }
     int()                 { return new Vector2(this.x|0, this.y|0); }
     area()                { return this.x * this.y; }
@@ -134,4 +131,46 @@ class Timer
     elapsed()       { return time >  this.time; }  // is set and has time left
     get()           { return this.isSet()? time - this.time : 0; }
     getPercent()    { return this.isSet()? percent(this.time - time, 0, this.setTime) : 0; }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// seeded random number generator - Xorshift
+class RandomGenerator
+{
+    constructor(seed=1) { this.setSeed(seed); }
+
+    setSeed(seed)
+    {
+        // zero is not a valid xorshift state, warm up to hide similar seeds
+        this.seed = seed|0 || 1;
+        for(let i=9;i--;) this.float();
+    }
+    float(a=1, b=0)
+    {
+        this.seed ^= this.seed << 13;
+        this.seed ^= this.seed >>> 17;
+        this.seed ^= this.seed << 5;
+        return b + (a-b) * (this.seed >>> 0) / 2**32;
+    }
+    int(a, b=0)                      { return this.float(a, b)|0; }
+    sign()                           { return (this.float(2)|0)*2-1; }
+    vector(length=1)                 { return new Vector2().setAngle(this.float(2*PI), length); }
+    inCircle(radius=1, minRadius=0)  { return radius > 0 ? this.vector(radius * this.float(minRadius / radius, 1)**.5) : new Vector2; }
+    color(cA = new Color, cB = new Color(0,0,0,1), linear)
+    {
+        return linear ? cA.lerp(cB, this.float()) : 
+            new Color(this.float(cA.r,cB.r),this.float(cA.g,cB.g),this.float(cA.b,cB.b),this.float(cA.a,cB.a));
+    }
+}
+
+// separate streams so adding randomness to one part of the game doesn't change the others
+const randLevel   = new RandomGenerator; // level generation
+const randAI      = new RandomGenerator; // enemy ai decisions
+const randCombat  = new RandomGenerator; // weapons, damage and physics
+const randEffects = new RandomGenerator; // cosmetic effects that do not change gameplay
+
+// seed all streams, the same seed and input always gives the same game
+function setRandSeed(seed)
+{
+    [randLevel, randAI, randCombat, randEffects].forEach((stream, i)=> stream.setSeed(seed + i*0x9E3779B9));
 }
\ No newline at end of file
@@ -3,6 +3,7 @@
     - All webgl used by the engine is wrapped up here
     - Can be disabled with glEnable to revert to 2D canvas rendering
     - Batches sprite rendering on GPU for incredibly fast performance
+    - Each tile sheet has its own texture, the batch is flushed when it changes
     - Sprite transform math is done in the shader where possible
     - For normal stuff you won't need to call any functions in this file
     - For advanced stuff there are helper functions to create shaders, textures, etc
@@ -12,18 +13,19 @@
 
 const glEnable = 1;     // can run without gl (texured coloring will be disabled)
 let glCanvas, glContext, glTileTexture, glShader, glPositionData, glColorData, 
-    glBatchCount, glDirty, glAdditive, glShrinkTilesX, glShrinkTilesY, glOverlay;
+    glBatchCount, glDirty, glAdditive, glShrinkTilesX, glShrinkTilesY, glOverlay, glTexture;
 
 function glInit()
 {
     if (!glEnable) return;
 
-    // create the canvas and tile texture
+    // create the canvas and a texture for each tile sheet
     glCanvas = document.createElement('canvas');
     glContext = glCanvas.getContext('webgl', {antialias:!pixelated});
-    glTileTexture = glCreateTexture(tileImage);
-    glShrinkTilesX = tileBleedShrinkFix/tileImageSize.x;
-    glShrinkTilesY = tileBleedShrinkFix/tileImageSize.y;
+    for(const name in tileSheets)
+        tileSheets[name].image && glSetSheetTexture(tileSheets[name]);
+    glTileTexture = tileSheetDefault.texture;
+    glSetTexture(tileSheetDefault);
 
     if (glOverlay)
     {
@@ -61,25 +63,34 @@ function glInit()
     glPositionData = new Float32Array(glVertexData);
     glColorData = new Uint32Array(glVertexData);
 
-    // setup the vertex data array
-    const initVertexAttribArray = (name, type, typeSize, size, normalize=0)=>
+    glDirty = glBatchCount = 0;
+}
+
+// switch the texture sprites are drawn from, the batch so far is drawn first
+function glSetTexture(sheet)
+{
+    if (!glEnable || sheet.texture == glTexture) return;
+
+    glFlush();
+    glContext.bindTexture(gl_TEXTURE_2D, glTexture = sheet.texture);
+    glShrinkTilesX = tileBleedShrinkFix/sheet.size.x;
+    glShrinkTilesY = tileBleedShrinkFix/sheet.size.y;
+}
+
+// create or update the texture for a tile sheet when its image loads
+function glSetSheetTexture(sheet)
+{
+    if (!glEnable) return;
+
+    glFlush();
+    if (sheet.texture)
     {
-        const location = glContext.getAttribLocation(glShader, name);
-        glContext.enableVertexAttribArray(location);
-        glContext.vertexAttribPointer(location, size, type, normalize, VERTEX_STRIDE, offset);
-        offset += size*typeSize;
+        glContext.bindTexture(gl_TEXTURE_2D, sheet.texture);
+        glContext.texImage2D(gl_TEXTURE_2D, 0, gl_RGBA, gl_RGBA, gl_UNSIGNED_BYTE, sheet.image);
     }
-    let offset = glDirty = glBatchCount = 0;
-    initVertexAttribArray('a', gl_FLOAT, 4, 1);            // angle
-    initVertexAttribArray('p', gl_FLOAT, 4, 2);            // position
-    initVertexAttribArray('s', gl_FLOAT, 4, 2);            // size
-    initVertexAttribArray('t', gl_FLOAT, 4, 2);            // texture coords
-    initVertexAttribArray('c', gl_UNSIGNED_BYTE, 1, 4, 1); // color
-    initVertexAttribArray('b', gl_UNSIGNED_BYTE, 1, 4, 1); // additiveColor
-
-    // use point filtering for pixelated rendering
-    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_MIN_FILTER, pixelated ? gl_NEAREST : gl_LINEAR);
-    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_MAG_FILTER, pixelated ? gl_NEAREST : gl_LINEAR);
+    else
+        sheet.texture = glCreateTexture(sheet.image);
+    glTexture = 0; // rebind before the next draw
 }
 
 function glSetBlendMode(additive)
@@ -149,12 +160,18 @@ function glCreateTexture(image)
     const texture = glContext.createTexture();
     glContext.bindTexture(gl_TEXTURE_2D, texture);
     glContext.texImage2D(gl_TEXTURE_2D, 0, gl_RGBA, gl_RGBA, gl_UNSIGNED_BYTE, image);
+
+    // use point filtering for pixelated rendering, clamp so sheets can be any size
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_MIN_FILTER, pixelated ? gl_NEAREST : gl_LINEAR);
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_MAG_FILTER, pixelated ? gl_NEAREST : gl_LINEAR);
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_WRAP_S, gl_CLAMP_TO_EDGE);
+    glContext.texParameteri(gl_TEXTURE_2D, gl_TEXTURE_WRAP_T, gl_CLAMP_TO_EDGE);
     return texture;
 }
 
 function glPreRender(width, height)
 {
-    if (!glEnable) return;
+    if (!glEnable || headless) return;
 
     // clear and set to same size as main canvas
     glCanvas.width = width;
@@ -162,13 +179,41 @@ function glPreRender(width, height)
     glContext.viewport(0, 0, width, height);
 
     // set up the shader
-    glContext.useProgram(glShader);
+    glSetShader(glShader);
     glSetBlendMode();
+}
+
+// switch to a shader that uses the sprite vertex format, the camera transform is passed in as m
+function glSetShader(shader)
+{
+    if (!glEnable) return;
+
+    glFlush();
+    glContext.useProgram(shader);
+
+    // setup the vertex data array, attributes the shader does not use are skipped
+    const initVertexAttribArray = (name, type, typeSize, size, normalize=0)=>
+    {
+        const location = glContext.getAttribLocation(shader, name);
+        if (location >= 0)
+        {
+            glContext.enableVertexAttribArray(location);
+            glContext.vertexAttribPointer(location, size, type, normalize, VERTEX_STRIDE, offset);
+        }
+        offset += size*typeSize;
+    }
+    let offset = 0;
+    initVertexAttribArray('a', gl_FLOAT, 4, 1);            // angle
+    initVertexAttribArray('p', gl_FLOAT, 4, 2);            // position
+    initVertexAttribArray('s', gl_FLOAT, 4, 2);            // size
+    initVertexAttribArray('t', gl_FLOAT, 4, 2);            // texture coords
+    initVertexAttribArray('c', gl_UNSIGNED_BYTE, 1, 4, 1); // color
+    initVertexAttribArray('b', gl_UNSIGNED_BYTE, 1, 4, 1); // additiveColor
 
     // build the transform matrix
-    const sx = 2 * cameraScale / width;
-    const sy = 2 * cameraScale / height;
-    glContext.uniformMatrix4fv(glContext.getUniformLocation(glShader, 'm'), 0,
+    const sx = 2 * cameraScale / glCanvas.width;
+    const sy = 2 * cameraScale / glCanvas.height;
+    glContext.uniformMatrix4fv(glContext.getUniformLocation(shader, 'm'), 0,
         new Float32Array([
             sx, 0, 0, 0,
             0, sy, 0, 0,
@@ -192,7 +237,7 @@ function glFlush()
 
 function glCopyToContext(context, forceDraw)
 {
-    if (!glEnable) return;
+    if (!glEnable || headless) return;
     if (!glDirty)  return;
     
     // draw any sprites still in the buffer, copy to main canvas and clear
@@ -311,7 +356,10 @@ gl_NEAREST = 9728,
 gl_LINEAR = 9729,
 gl_TEXTURE_MAG_FILTER = 10240,
 gl_TEXTURE_MIN_FILTER = 10241,
+gl_TEXTURE_WRAP_S = 10242,
+gl_TEXTURE_WRAP_T = 10243,
 gl_COLOR_BUFFER_BIT = 16384,
+gl_CLAMP_TO_EDGE = 33071,
 gl_ARRAY_BUFFER = 34962,
 gl_DYNAMIC_DRAW = 35048,
 gl_FRAGMENT_SHADER = 35632, 
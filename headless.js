@@ -0,0 +1,103 @@
+/*
+    Space Huggers Headless Runner
+    - Runs the game simulation in node with no dom or canvas
+    - Loads the same scripts as index.html in the same order
+    - Steps frames with engineUpdateHeadless() and reports progress
+    - Exits with an error code if anything throws or asserts
+    - Passing a seed makes the run repeatable
+    - Passing a replay file plays it and fails if it drifts from the recording
+    - Usage: node headless.js [frames] [seed]
+    - Usage: node headless.js replay.json
+    - Usage: node headless.js benchmark
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const replayFilename = /\.json$/.test(process.argv[2]) && process.argv[2];
+const frameCount = parseInt(process.argv[2]) || 1e4;
+const seed = parseInt(process.argv[3]);
+const reportInterval = 600;
+
+// treat failed asserts as errors so problems show up in ci
+console.assert = (assert, ...output)=>
+{
+    if (!assert)
+        throw new Error('Assert failed: ' + output.join(' '));
+}
+
+// load all scripts into the global context as if they were script tags
+const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+for (const [, src] of html.matchAll(/<script src=([^>\s]+)>/g))
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, src), 'utf8'), {filename: src});
+
+if (replayFilename)
+{
+    // play the replay to the end, drift is an error so replays work as regression tests
+    const startMS = Date.now();
+    playReplay(JSON.parse(fs.readFileSync(replayFilename, 'utf8')));
+    for(;replayPlaying;)
+        engineUpdateHeadless();
+    console.log(replayFrame + ' replay frames in ' + (Date.now() - startMS) + 'ms'
+        + '  level ' + level + '  kills ' + totalKills + '  lives ' + playerLives);
+    process.exit(replayDrift ? 1 : 0);
+}
+
+if (process.argv[2] == 'benchmark')
+{
+    // compare frame time of the spatial hash against scanning every object as more objects are added
+    // skip the campaign maps so the benchmark always runs on the same generated level
+    campaign.length = 0;
+    console.log('objects   full scan ms/frame   spatial hash ms/frame   identical');
+    for (const count of [50, 100, 200, 400, 800])
+    {
+        const results = [0, 1].map((enable)=>
+        {
+            // start both runs from the same frame and camera position so they line up
+            spatialHashEnable = enable;
+            frame = time = 0;
+            cameraPos = vec2();
+            resetGame(1);
+            playerLives = 1e3;
+
+            // stack enemies and props in columns around the player so they are all inside the update window
+            for (let i = count; i--;)
+            {
+                const pos = vec2(checkpointPos.x - 25 + i % 50 + .5, levelSize.y);
+                const hit = tileCollisionRaycast(pos, vec2(pos.x, 0));
+                const spawnPos = hit && hit.pos.add(vec2(0, .5 + (i / 50 | 0) * 1.2));
+                hit && (i % 3 ? new Enemy(spawnPos) : new Prop(spawnPos));
+            }
+
+            const benchmarkFrames = 300;
+            const startMS = Date.now();
+            engineUpdateHeadless(benchmarkFrames);
+            const frameMS = (Date.now() - startMS) / benchmarkFrames;
+
+            let state = '';
+            for (const o of engineCollideObjects)
+                state += o.pos.x + ',' + o.pos.y + ' ';
+            return {frameMS, state, objects:engineCollideObjects.length};
+        });
+        console.log(String(results[1].objects).padEnd(10) + results[0].frameMS.toFixed(2).padEnd(21)
+            + results[1].frameMS.toFixed(2).padEnd(24) + (results[0].state == results[1].state));
+    }
+    process.exit();
+}
+
+// restart with the seed if one was passed in
+isNaN(seed) || resetGame(seed);
+console.log('seed ' + gameSeed + '  level seed ' + levelSeed);
+
+// step the simulation and report progress
+const startMS = Date.now();
+for (let i = 0; i < frameCount; i += reportInterval)
+{
+    engineUpdateHeadless(min(reportInterval, frameCount - i));
+    console.log('frame ' + frame + '  level ' + level + '  objects ' + engineObjects.length
+        + '  kills ' + totalKills + '  lives ' + playerLives + '  draws ' + drawCount);
+}
+console.log(frameCount + ' frames in ' + (Date.now() - startMS) + 'ms');
@@ -0,0 +1,207 @@
+/*
+    Space Huggers Relay Server
+    - Relays messages for online co-op so players do not need to connect to each other directly
+    - Plain node with no packages, it speaks just enough WebSocket for text messages
+    - Players join rooms by name, the first in a room is the host
+    - Messages from clients go to the host, messages from the host go to every client
+    - Host messages with a to field only go to that client
+    - When the host leaves the room is closed and the clients are told
+    - Connections that drop without a close frame leave too, messages have a size limit
+    - Usage: node server.js [port]
+*/
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2]) || 8080;
+const webSocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const maxMessageSize = 16 << 20; // game states are sent as one message so this is large
+const rooms = new Map; // room name to connections, the first is the host
+let nextId = 0;
+
+///////////////////////////////////////////////////////////////////////////////
+// websocket frames
+
+// read one frame from the start of the buffer, returns 0 until the whole frame has arrived
+function readFrame(buffer)
+{
+    if (buffer.length < 2)
+        return 0;
+
+    const fin = buffer[0] >> 7, opcode = buffer[0] & 15, masked = buffer[1] >> 7;
+    let length = buffer[1] & 127, offset = 2;
+    if (length == 126)
+    {
+        if (buffer.length < 4)
+            return 0;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    }
+    else if (length == 127)
+    {
+        if (buffer.length < 10)
+            return 0;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    // frames from browsers are always masked
+    const mask = masked && buffer.subarray(offset, offset += 4);
+    if (buffer.length < offset + length)
+        return 0;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (mask)
+        for(let i = 0; i < length; ++i)
+            payload[i] ^= mask[i & 3];
+    return {fin, opcode, payload, size:offset + length};
+}
+
+function sendFrame(socket, data, opcode=1)
+{
+    const payload = Buffer.from(data), length = payload.length;
+    let header;
+    if (length < 126)
+        header = Buffer.from([128 | opcode, length]);
+    else if (length < 65536)
+        header = Buffer.from([128 | opcode, 126, length >> 8, length & 255]);
+    else
+    {
+        header = Buffer.alloc(10);
+        header[0] = 128 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    socket.writable && socket.write(Buffer.concat([header, payload]));
+}
+
+const sendMessage = (connection, message)=> sendFrame(connection.socket, JSON.stringify(message));
+
+///////////////////////////////////////////////////////////////////////////////
+// rooms
+
+function receive(connection, text)
+{
+    let message;
+    try { message = JSON.parse(text); }
+    catch(e) { return; }
+
+    if (message.type == 'join')
+    {
+        if (connection.room)
+            return;
+
+        // the first to join a room hosts it
+        const name = String(message.room);
+        const room = rooms.get(name) || [];
+        rooms.set(name, room);
+        room.push(connection);
+        connection.room = name;
+        const host = room[0];
+        sendMessage(connection, {type:'welcome', id:connection.id, host:connection == host});
+        connection == host || sendMessage(host, {type:'join', from:connection.id});
+        console.log('player ' + connection.id + (connection == host ? ' hosts ' : ' joined ') + name);
+        return;
+    }
+
+    const room = rooms.get(connection.room);
+    if (!room)
+        return;
+
+    message.from = connection.id;
+    const host = room[0];
+    if (connection != host)
+        sendMessage(host, message);
+    else for(const client of room)
+        client != host && (!message.to || message.to == client.id) && sendMessage(client, message);
+}
+
+function leave(connection)
+{
+    const room = rooms.get(connection.room);
+    if (!room)
+        return;
+
+    // the game lives on the host so the room closes when the host leaves
+    const isHost = room[0] == connection;
+    room.splice(room.indexOf(connection), 1);
+    console.log('player ' + connection.id + ' left ' + connection.room);
+    if (isHost)
+    {
+        rooms.delete(connection.room);
+        for(const client of room)
+        {
+            sendMessage(client, {type:'leave', from:connection.id, host:1});
+            client.room = 0;
+        }
+    }
+    else
+        sendMessage(room[0], {type:'leave', from:connection.id});
+    connection.room = 0;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+
+const server = http.createServer((request, response)=>
+{
+    response.writeHead(426, {'Content-Type': 'text/plain'});
+    response.end('Space Huggers relay, connect with a WebSocket');
+});
+
+server.on('upgrade', (request, socket)=>
+{
+    const key = request.headers['sec-websocket-key'];
+    if (!key)
+        return socket.destroy();
+
+    // accept the websocket handshake
+    const accept = crypto.createHash('sha1').update(key + webSocketGuid).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+
+    const connection = {id:++nextId, socket, room:0};
+    let buffer = Buffer.alloc(0), fragments = [], fragmentsSize = 0;
+    socket.on('data', (data)=>
+    {
+        buffer = Buffer.concat([buffer, data]);
+        for(let frame; frame = readFrame(buffer);)
+        {
+            buffer = buffer.subarray(frame.size);
+            if (frame.opcode == 8)
+            {
+                // answer a close with a close that has the same status code
+                sendFrame(socket, frame.payload.subarray(0, 2), 8);
+                return socket.end();
+            }
+            if (frame.opcode == 9)
+                sendFrame(socket, frame.payload, 10); // ping gets a pong
+            else if (frame.opcode < 2)
+            {
+                // text and its continuation frames
+                fragments.push(frame.payload);
+                fragmentsSize += frame.payload.length;
+                if (frame.fin)
+                {
+                    receive(connection, Buffer.concat(fragments).toString());
+                    fragments = [];
+                    fragmentsSize = 0;
+                }
+            }
+        }
+
+        // drop anything sending more than a message can hold
+        if (buffer.length + fragmentsSize > maxMessageSize)
+            socket.destroy();
+    });
+
+    // upgraded sockets are half open, end our side too when the other side ends so close is called
+    // keep alive finds connections that dropped without ending
+    socket.setKeepAlive(true, 10e3);
+    socket.on('end', ()=> socket.end());
+    socket.on('close', ()=> leave(connection));
+    socket.on('error', ()=> socket.destroy());
+});
+
+server.listen(port, ()=> console.log('Space Huggers relay listening on port ' + port));